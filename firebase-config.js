@@ -173,8 +173,10 @@ const FirebaseConfig = {
         }
     },
 
-    // Save quiz response
-    async saveQuizResponse(questionId, answer, reason = '') {
+    // Save quiz response; fields are stored alongside, e.g. clientTimestamp, the time the
+    // student answered, which lets copies of the same answer from the Local Hub be matched up,
+    // and the attempts count, history, and votes of the student's record (see response-crdt.js)
+    async saveQuizResponse(questionId, answer, reason = '', fields = {}) {
         if (!this.auth.currentUser) {
             console.warn('No user signed in');
             return false;
@@ -182,16 +184,24 @@ const FirebaseConfig = {
 
         try {
             const userId = this.auth.currentUser.uid;
+            const { history, votes, ...extra } = fields;
             const responseData = {
                 userId,
                 questionId,
                 answer,
                 reason,
+                ...extra,
                 timestamp: firebase.firestore.FieldValue.serverTimestamp(),
                 displayName: this.auth.currentUser.displayName,
                 email: this.auth.currentUser.email
             };
 
+            // Attempts and votes are grow-only sets: arrayUnion adds ours to those other devices
+            // and the Local Hub wrote, so saves from several places never drop one
+            const { arrayUnion } = firebase.firestore.FieldValue;
+            if (history && history.length > 0) responseData.history = arrayUnion(...history);
+            if (votes && votes.length > 0) responseData.votes = arrayUnion(...votes);
+
             // Save to user's personal responses
             const userResponseRef = this.db
                 .collection(this.collections.users)
@@ -206,7 +216,7 @@ const FirebaseConfig = {
                 .collection(this.collections.quizResponses)
                 .doc(`${questionId}_${userId}`);
 
-            await classResponseRef.set(responseData);
+            await classResponseRef.set(responseData, { merge: true });
 
             return true;
         } catch (error) {
@@ -0,0 +1,136 @@
+/**
+ * Local Hub Audit Trail
+ * Append-only record of connections, identifies, submissions, and teacher actions, one file per hub session
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./hub-log');
+
+const FILE_PATTERN = /^session-(\d+)\.jsonl$/;
+const DEFAULT_QUERY_LIMIT = 500;
+
+class AuditTrail {
+    /**
+     * @param {string} dir - Directory holding one audit file per session
+     */
+    constructor(dir) {
+        this.dir = dir;
+        this.sessionId = null;
+        this.fd = null;
+    }
+
+    /**
+     * Path of a session's audit file
+     * @param {string|number} sessionId - Session start time in milliseconds
+     * @returns {string}
+     */
+    fileFor(sessionId) {
+        return path.join(this.dir, `session-${sessionId}.jsonl`);
+    }
+
+    /**
+     * Start appending to a session's audit file
+     * @param {number} sessionId - Session start time in milliseconds
+     */
+    open(sessionId) {
+        this.close();
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.sessionId = String(sessionId);
+        this.fd = fs.openSync(this.fileFor(this.sessionId), 'a');
+    }
+
+    /**
+     * Record one event
+     * @param {string} event - connect, disconnect, identify, submit, or teacher_action
+     * @param {Object} fields - Who, where, and what
+     */
+    record(event, fields = {}) {
+        if (this.fd === null) return;
+
+        try {
+            fs.writeSync(this.fd, JSON.stringify({ at: Date.now(), event, ...fields }) + '\n');
+        } catch (error) {
+            log.error('AUDIT', `Failed to write event: ${error.message}`);
+        }
+    }
+
+    /**
+     * List sessions with audit files, newest first
+     * @returns {Array<Object>} { sessionId, startedAt, bytes, current }
+     */
+    listSessions() {
+        if (!fs.existsSync(this.dir)) return [];
+
+        return fs.readdirSync(this.dir)
+            .map(name => name.match(FILE_PATTERN))
+            .filter(Boolean)
+            .map(match => ({
+                sessionId: match[1],
+                startedAt: new Date(Number(match[1])).toISOString(),
+                bytes: fs.statSync(path.join(this.dir, match[0])).size,
+                current: match[1] === this.sessionId
+            }))
+            .sort((a, b) => Number(b.sessionId) - Number(a.sessionId));
+    }
+
+    /**
+     * Read a session's events that match every given filter
+     * @param {Object} [filter]
+     * @param {string} [filter.sessionId] - Defaults to the current session
+     * @param {string} [filter.event] - Event type
+     * @param {string} [filter.userId]
+     * @param {string} [filter.room]
+     * @param {string} [filter.questionId]
+     * @param {number} [filter.since] - Earliest time in milliseconds
+     * @param {number} [filter.until] - Latest time in milliseconds
+     * @param {number} [filter.limit] - Most recent events to return (default 500)
+     * @returns {Array<Object>|null} Events oldest first, or null if the session has no audit file
+     */
+    query(filter = {}) {
+        const sessionId = filter.sessionId || this.sessionId;
+        if (!sessionId || !/^\d+$/.test(sessionId)) return null;
+
+        const filePath = this.fileFor(sessionId);
+        if (!fs.existsSync(filePath)) return null;
+
+        const matches = [];
+        fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+            if (!line.trim()) return;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                return; // torn last line
+            }
+
+            if ((filter.event && entry.event !== filter.event) ||
+                (filter.userId && entry.userId !== filter.userId) ||
+                (filter.room && entry.room !== filter.room) ||
+                (filter.questionId && entry.questionId !== filter.questionId) ||
+                (filter.since && entry.at < filter.since) ||
+                (filter.until && entry.at > filter.until)) {
+                return;
+            }
+            matches.push(entry);
+        });
+
+        return matches.slice(-(filter.limit || DEFAULT_QUERY_LIMIT));
+    }
+
+    /**
+     * Flush and close the current audit file
+     */
+    close() {
+        if (this.fd === null) return;
+        try {
+            fs.fsyncSync(this.fd);
+        } finally {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = { AuditTrail };
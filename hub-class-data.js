@@ -0,0 +1,241 @@
+/**
+ * Local Hub Class Data Conversion
+ * Converts hub responses into gradebook CSV and the StorageModule class_data export format
+ */
+
+const curriculum = require('./hub-curriculum');
+const ResponseCRDT = require('./response-crdt');
+
+const CLASS_DATA_VERSION = '2.0';
+
+const GRADEBOOK_COLUMNS = [
+    'room',
+    'student',
+    'userId',
+    'questionId',
+    'answer',
+    'correct',
+    'reason',
+    'timestamp',
+    'attempts'
+];
+
+/**
+ * Check whether text is a plain finite number, e.g. -1.5 or +2
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isNumeric(text) {
+    return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text.trim()) && Number.isFinite(Number(text));
+}
+
+/**
+ * Quote a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Keep spreadsheets from evaluating student-typed text as a formula; numbers like -1.5 stay numbers
+    if (/^[=+\-@]/.test(text) && !isNumeric(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a stored timestamp as ISO 8601
+ * @param {*} timestamp - Milliseconds or a date string, as stored with a response
+ * @returns {string|null} null when it isn't a valid date, so one bad record can't break an export
+ */
+function formatTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    return timestamp === null || timestamp === undefined || Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Grade an answer against the embedded curriculum
+ * @param {string} questionId - Question ID
+ * @param {*} answer - Submitted answer
+ * @returns {boolean|null} Whether it matches the key, or null when there is no key
+ */
+function gradeAnswer(questionId, answer) {
+    const answerKey = curriculum.getAnswerKey(questionId);
+    if (!answerKey) return null;
+    return String(answer).trim().toUpperCase() === answerKey.toUpperCase();
+}
+
+/**
+ * Build a per-student x per-question gradebook CSV
+ * @param {Array<Object>} responses - Hub responses, each with a room field
+ * @returns {string} CSV text with a header row
+ */
+function buildGradebookCsv(responses) {
+    const rows = responses
+        .slice()
+        .sort((a, b) =>
+            (a.room || '').localeCompare(b.room || '') ||
+            (a.displayName || a.userId).localeCompare(b.displayName || b.userId) ||
+            a.questionId.localeCompare(b.questionId))
+        .map(response => {
+            const correct = gradeAnswer(response.questionId, response.answer);
+            return [
+                response.room,
+                response.displayName || response.userId,
+                response.userId,
+                response.questionId,
+                response.answer,
+                correct === null ? '' : (correct ? 'TRUE' : 'FALSE'),
+                response.reason,
+                formatTimestamp(response.timestamp),
+                response.attempts || 1
+            ].map(toCsvCell).join(',');
+        });
+
+    return [GRADEBOOK_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a class data export matching StorageModule.exportClassData() (version 2.0)
+ * @param {Array<Object>} responses - Hub responses
+ * @param {Object} options - { exportedBy } to record in the metadata
+ * @returns {Object} Export that index.html can import and merge
+ */
+function buildClassDataExport(responses, options = {}) {
+    const users = {};
+    const usernames = new Map(); // userId -> username used in the export
+
+    responses.forEach(response => {
+        if (!usernames.has(response.userId)) {
+            // The app keys students by username; disambiguate students sharing a display name
+            let username = response.displayName || response.userId;
+            const taken = Array.from(usernames.values()).includes(username);
+            if (taken) username = `${username} (${response.userId})`;
+            usernames.set(response.userId, username);
+        }
+
+        const username = usernames.get(response.userId);
+        const timestamp = formatTimestamp(response.timestamp);
+        if (!users[username]) {
+            users[username] = {
+                answers: {},
+                reasons: {},
+                attempts: {},
+                timestamps: {},
+                firstSeen: timestamp
+            };
+        }
+
+        const user = users[username];
+        user.answers[response.questionId] = response.answer;
+        if (response.reason) user.reasons[response.questionId] = response.reason;
+        user.attempts[response.questionId] = response.attempts || 1;
+        if (response.history) {
+            if (!user.history) user.history = {};
+            user.history[response.questionId] = response.history;
+        }
+        if (!timestamp) return;
+        user.timestamps[response.questionId] = timestamp;
+        if (!user.firstSeen || timestamp < user.firstSeen) user.firstSeen = timestamp;
+        if (!user.lastUpdate || timestamp > user.lastUpdate) user.lastUpdate = timestamp;
+    });
+
+    const exportDate = new Date().toISOString();
+
+    return {
+        version: CLASS_DATA_VERSION,
+        exportType: 'class_data',
+        exportDate,
+        metadata: {
+            totalUsers: Object.keys(users).length,
+            lastMerge: null,
+            version: CLASS_DATA_VERSION,
+            lastUpdate: exportDate,
+            exportedBy: options.exportedBy || 'Local Hub',
+            studentCount: Object.keys(users).length
+        },
+        users,
+        consensusData: {}
+    };
+}
+
+/**
+ * List the students contained in a student_data or class_data export
+ * @param {Object} importData - Parsed export file from exportStudentData() or exportClassData()
+ * @returns {Array<Object>} [{ username, data }] where data has answers/reasons/attempts/timestamps
+ * @throws {Error} If the object is not a recognized export, or a student's data is malformed
+ */
+function readExportedStudents(importData) {
+    if (!importData || !importData.version || !importData.exportType) {
+        throw new Error('Invalid file format');
+    }
+
+    let students;
+    if (importData.exportType === 'student_data') {
+        if (!importData.username) throw new Error('Student export has no username');
+        students = [{ username: importData.username, data: importData.data || {} }];
+    } else if (importData.exportType === 'class_data') {
+        students = Object.entries(importData.users || {})
+            .map(([username, data]) => ({ username, data: data || {} }));
+    } else {
+        throw new Error(`Unsupported export type: ${importData.exportType}`);
+    }
+
+    // Check the shape here so a malformed file is rejected before anything is merged
+    const isMap = value => value === undefined || (value !== null && typeof value === 'object' && !Array.isArray(value));
+    students.forEach(({ username, data }) => {
+        const fields = ['answers', 'reasons', 'attempts', 'timestamps', 'history'];
+        if (!isMap(data) || fields.some(field => !isMap(data[field]))) {
+            throw new Error(`Student ${username} has malformed data`);
+        }
+    });
+    return students;
+}
+
+/**
+ * Merge one exported student into hub responses with the same response records
+ * as StorageModule.mergeStudentData(), so no attempt from either side is lost
+ * @param {Map<string, Object>} existingResponses - questionId -> current hub response for this student
+ * @param {string} userId - Hub userId the student maps to
+ * @param {string} username - Username from the export
+ * @param {Object} studentData - { answers, reasons, attempts, timestamps, history }
+ * @returns {Object} { result, responses } - merge result and the hub responses to store
+ */
+function mergeStudentData(existingResponses, userId, username, studentData) {
+    const result = {
+        username,
+        conflict: false, // records merge without conflicts; kept for existing import clients
+        resolvedBy: 'merge',
+        changes: []
+    };
+    const responses = [];
+    const receivedAt = Date.now();
+
+    Object.keys(studentData.answers || {}).forEach(questionId => {
+        const existing = existingResponses.get(questionId);
+        const imported = ResponseCRDT.fromStudentData(studentData, questionId, userId);
+        const current = existing ? ResponseCRDT.fromResponse(existing) : null;
+        const record = current ? ResponseCRDT.merge(current, imported) : imported;
+
+        // The hub already has every attempt in the file
+        if (current && JSON.stringify(record) === JSON.stringify(current)) return;
+
+        responses.push({
+            ...ResponseCRDT.toResponse(record),
+            displayName: existing ? existing.displayName : username,
+            receivedAt
+        });
+        result.changes.push(existing ? `Merged Q${questionId}` : `Added Q${questionId}`);
+    });
+
+    return { result, responses };
+}
+
+module.exports = {
+    CLASS_DATA_VERSION,
+    formatTimestamp,
+    gradeAnswer,
+    buildGradebookCsv,
+    buildClassDataExport,
+    readExportedStudents,
+    mergeStudentData
+};
@@ -0,0 +1,69 @@
+/**
+ * Local Hub Curriculum Access
+ * Loads the browser question bank (question.js) so the hub can look up questions and answer keys
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const log = require('./hub-log');
+
+const CURRICULUM_FILE = path.join(__dirname, 'question.js');
+
+let questionIndex = null;
+
+/**
+ * Load and index all questions (cached after the first call)
+ * @returns {Map<string, Object>} questionId -> question
+ */
+function loadQuestions() {
+    if (questionIndex) return questionIndex;
+
+    questionIndex = new Map();
+
+    try {
+        // question.js declares a top-level const for the browser, so evaluate it in a sandbox
+        const source = fs.readFileSync(CURRICULUM_FILE, 'utf8');
+        const sandbox = {};
+        vm.runInNewContext(`${source}\n;this.EMBEDDED_CURRICULUM = EMBEDDED_CURRICULUM;`, sandbox, {
+            filename: CURRICULUM_FILE
+        });
+
+        const curriculum = sandbox.EMBEDDED_CURRICULUM;
+        const questions = curriculum.questions || curriculum || [];
+        questions.forEach(question => {
+            if (question && question.id) {
+                questionIndex.set(question.id, question);
+            }
+        });
+    } catch (error) {
+        log.error('CURRICULUM', 'Failed to load question bank', { error });
+    }
+
+    return questionIndex;
+}
+
+/**
+ * Get a single question
+ * @param {string} questionId - Question ID, e.g. U1-L2-Q01
+ * @returns {Object|null} Question or null if unknown
+ */
+function getQuestion(questionId) {
+    return loadQuestions().get(questionId) || null;
+}
+
+/**
+ * Get the answer key for a question
+ * @param {string} questionId - Question ID
+ * @returns {string|null} Answer key, or null for unknown or free-response questions
+ */
+function getAnswerKey(questionId) {
+    const question = getQuestion(questionId);
+    return question && question.answerKey ? question.answerKey : null;
+}
+
+module.exports = {
+    loadQuestions,
+    getQuestion,
+    getAnswerKey
+};
@@ -0,0 +1,154 @@
+/**
+ * Local Hub LAN Discovery
+ * Picks the right network adapter and advertises the hub with a UDP broadcast beacon
+ */
+
+const dgram = require('dgram');
+const os = require('os');
+const log = require('./hub-log');
+
+const DISCOVERY_SERVICE = 'ap-stats-local-hub';
+const DISCOVERY_PORT = 41234;
+const BEACON_INTERVAL = 5000; // 5 seconds
+
+// Adapters that are almost never the classroom LAN
+const VIRTUAL_ADAPTER_PATTERN = /^(docker|br-|veth|virbr|vmnet|vboxnet|vethernet|utun|tun|tap|zt|tailscale|wg|llw|awdl|ham)/i;
+
+/**
+ * Check whether an IPv4 address is in a private LAN range
+ * @param {string} address - Dotted IPv4 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 ||
+        (a === 192 && b === 168) ||
+        (a === 172 && b >= 16 && b <= 31);
+}
+
+/**
+ * Compute the broadcast address of an interface from its address and netmask
+ * @param {string} address - IPv4 address
+ * @param {string} netmask - IPv4 netmask
+ * @returns {string} Broadcast address
+ */
+function getBroadcastAddress(address, netmask) {
+    const addressParts = address.split('.').map(Number);
+    const maskParts = netmask.split('.').map(Number);
+    return addressParts.map((part, i) => (part | (~maskParts[i] & 255))).join('.');
+}
+
+/**
+ * List candidate LAN addresses, best first
+ * @returns {Array<Object>} [{ address, interface, netmask, broadcast, score }]
+ */
+function getNetworkAddresses() {
+    const candidates = [];
+    const interfaces = os.networkInterfaces();
+
+    Object.keys(interfaces).forEach(name => {
+        interfaces[name].forEach(iface => {
+            // Skip internal and IPv6 addresses
+            if (iface.internal || (iface.family !== 'IPv4' && iface.family !== 4)) return;
+
+            // Prefer private LAN ranges on physical adapters; link-local means no DHCP
+            let score = 0;
+            if (isPrivateAddress(iface.address)) score += 2;
+            if (!VIRTUAL_ADAPTER_PATTERN.test(name)) score += 2;
+            if (/^(en|eth|wl|wi-?fi|wireless|ethernet)/i.test(name)) score += 1;
+            if (iface.address.startsWith('169.254.')) score -= 4;
+
+            candidates.push({
+                address: iface.address,
+                interface: name,
+                netmask: iface.netmask,
+                broadcast: getBroadcastAddress(iface.address, iface.netmask),
+                score
+            });
+        });
+    });
+
+    return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Get the address students should use, honoring a HUB_HOST override
+ * @returns {string} IPv4 address or hostname
+ */
+function getPreferredAddress() {
+    if (process.env.HUB_HOST) return process.env.HUB_HOST;
+    const [best] = getNetworkAddresses();
+    return best ? best.address : 'localhost';
+}
+
+/**
+ * Start advertising the hub on the LAN
+ * Broadcasts an announcement periodically and answers { type: 'discover' } probes
+ * @param {Function} describeHub - Returns the announcement payload (called on every send)
+ * @returns {Object} { stop() }
+ */
+function startBeacon(describeHub) {
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+    const announce = (address, port) => {
+        const payload = Buffer.from(JSON.stringify({
+            service: DISCOVERY_SERVICE,
+            type: 'announce',
+            ...describeHub()
+        }));
+        socket.send(payload, port, address, (error) => {
+            if (error && error.code !== 'ENETUNREACH') {
+                log.warn('DISCOVERY', `Beacon to ${address} failed: ${error.message}`);
+            }
+        });
+    };
+
+    const broadcastAll = () => {
+        const targets = new Set(getNetworkAddresses().map(candidate => candidate.broadcast));
+        targets.add('255.255.255.255');
+        targets.forEach(address => announce(address, DISCOVERY_PORT));
+    };
+
+    socket.on('message', (data, remote) => {
+        try {
+            const message = JSON.parse(data.toString());
+            if (message.service === DISCOVERY_SERVICE && message.type === 'discover') {
+                announce(remote.address, remote.port);
+            }
+        } catch (error) {
+            // Not ours; other software shares broadcast ports
+        }
+    });
+
+    socket.on('error', (error) => {
+        log.warn('DISCOVERY', `Beacon disabled: ${error.message}`);
+        clearInterval(timer);
+        socket.close();
+    });
+
+    socket.bind(DISCOVERY_PORT, () => {
+        socket.setBroadcast(true);
+        broadcastAll();
+    });
+
+    const timer = setInterval(broadcastAll, BEACON_INTERVAL);
+
+    return {
+        stop() {
+            clearInterval(timer);
+            try {
+                socket.close();
+            } catch (error) {
+                // Already closed after an error
+            }
+        }
+    };
+}
+
+module.exports = {
+    DISCOVERY_SERVICE,
+    DISCOVERY_PORT,
+    getNetworkAddresses,
+    getPreferredAddress,
+    startBeacon
+};
@@ -0,0 +1,395 @@
+/**
+ * Local Hub Federation
+ * Peers hubs over WebSocket and replicates their responses so review days can see school-wide results
+ */
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const protocol = require('./hub-protocol');
+const ResponseCRDT = require('./response-crdt');
+const log = require('./hub-log');
+
+// Stay well under the receiving hub's 64 KB message limit
+const MAX_BATCH_BYTES = 48 * 1024;
+const RECONNECT_DELAY = 5000; // 5 seconds between attempts to reach a peer
+
+/**
+ * Key a replicated record by student and question, like Firestore's quizResponses documents
+ * @param {Object} record
+ * @returns {string}
+ */
+function recordKey(record) {
+    return `${record.questionId}_${record.userId}`;
+}
+
+/**
+ * Check a record received from a peer
+ * @param {*} record
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return 'record must be an object';
+    }
+    if (typeof record.hubId !== 'string' || typeof record.room !== 'string') {
+        return 'record needs hubId and room';
+    }
+    if (typeof record.userId !== 'string' || !Number.isFinite(record.timestamp)) {
+        return 'record needs userId and timestamp';
+    }
+
+    // Records carry the same fields as a student's submit_response
+    const problem = protocol.validateMessage({ ...record, type: 'submit_response' });
+    return problem ? problem.message : null;
+}
+
+/**
+ * Merge two records of the same student and question, keeping every attempt and vote from both
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object} Record labelled with the room and hub of whichever has the newer answer
+ */
+function mergeRecords(a, b) {
+    const newer = a.timestamp !== b.timestamp
+        ? (a.timestamp > b.timestamp ? a : b)
+        : (a.hubId >= b.hubId ? a : b);
+    const merged = ResponseCRDT.merge(ResponseCRDT.fromResponse(a), ResponseCRDT.fromResponse(b));
+    return { ...newer, ...ResponseCRDT.toResponse(merged) };
+}
+
+/**
+ * Whether two records hold the same attempts and votes
+ * @returns {boolean}
+ */
+function sameRecord(a, b) {
+    return JSON.stringify(ResponseCRDT.fromResponse(a)) === JSON.stringify(ResponseCRDT.fromResponse(b));
+}
+
+/**
+ * Split records into batches that fit in one peer_responses message
+ * @param {Array} records
+ * @returns {Array<Array>}
+ */
+function batchRecords(records) {
+    const batches = [];
+    let batch = [];
+    let size = 0;
+
+    records.forEach(original => {
+        // A record that has grown past a batch on its own sends only its latest attempts and votes
+        const record = ResponseCRDT.trimForSending(original, MAX_BATCH_BYTES);
+        const recordSize = Buffer.byteLength(JSON.stringify(record));
+        if (recordSize > MAX_BATCH_BYTES) {
+            log.warn('FEDERATION', `Not replicating ${record.userId}'s answer to ${record.questionId}: ` +
+                `${recordSize} bytes even with only the latest attempt`);
+            return;
+        }
+        if (batch.length > 0 && size + recordSize > MAX_BATCH_BYTES) {
+            batches.push(batch);
+            batch = [];
+            size = 0;
+        }
+        batch.push(record);
+        size += recordSize;
+    });
+
+    if (batch.length > 0) batches.push(batch);
+    return batches;
+}
+
+class Federation {
+    /**
+     * @param {Object} options
+     * @param {string} options.hubId - This hub's ID
+     * @param {string} options.hubName - This hub's name
+     * @param {string} [options.federationKey] - Secret shared by every hub; federation is off without it
+     * @param {Function} options.localRecords - Returns this hub's own responses as records
+     */
+    constructor({ hubId, hubName, federationKey, localRecords }) {
+        this.hubId = hubId;
+        this.hubName = hubName;
+        this.federationKey = federationKey || null;
+        this.localRecords = localRecords;
+        this.records = new Map(); // questionId_userId -> record merged from other hubs
+        this.links = new Set(); // connected peers, inbound and outbound
+        this.outbound = new Map(); // peer URL -> { url, ws, timer }
+        this.stopped = false;
+    }
+
+    /**
+     * Whether this hub takes part in federation
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Boolean(this.federationKey);
+    }
+
+    /**
+     * Check the key a peer presented without leaking timing information
+     * @param {string} key
+     * @returns {boolean}
+     */
+    isFederationKey(key) {
+        if (!this.isEnabled() || typeof key !== 'string') return false;
+        const expected = Buffer.from(this.federationKey);
+        const presented = Buffer.from(key);
+        return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+    }
+
+    /**
+     * Keep connections open to the given peer hubs, reconnecting when they drop
+     * @param {Array<string>} urls - Peer WebSocket URLs, e.g. ws://192.168.1.20:8080
+     */
+    connectToPeers(urls) {
+        if (!this.isEnabled()) return;
+        urls.forEach(url => {
+            if (!this.outbound.has(url)) {
+                this.outbound.set(url, { url, ws: null, timer: null });
+                this.dial(url);
+            }
+        });
+    }
+
+    /**
+     * Open one outbound peer connection
+     * @param {string} url
+     */
+    dial(url) {
+        const peer = this.outbound.get(url);
+        if (!peer || this.stopped) return;
+
+        const ws = new WebSocket(url);
+        peer.ws = ws;
+        let link = null;
+
+        ws.on('open', () => {
+            ws.send(JSON.stringify({
+                type: 'identify',
+                role: 'peer',
+                protocolVersion: protocol.PROTOCOL_VERSION,
+                federationKey: this.federationKey,
+                hubId: this.hubId,
+                hubName: this.hubName
+            }));
+        });
+
+        ws.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                log.warn('FEDERATION', `Ignoring invalid JSON from ${url}`);
+                return;
+            }
+
+            if (message.type === 'identified') {
+                if (!message.success) {
+                    log.error('FEDERATION', `${url} refused to peer: ${message.message}`);
+                    ws.close();
+                    return;
+                }
+                link = this.addLink(ws, { url, direction: 'outbound', hubId: message.hubId, hubName: message.hubName });
+            } else if (message.type === 'peer_responses' && link) {
+                this.receive(link, message.records);
+            } else if (message.type === 'error') {
+                log.warn('FEDERATION', `${url} reported ${message.code}: ${message.message}`);
+            }
+        });
+
+        ws.on('close', () => {
+            if (link) this.removeLink(link);
+            peer.ws = null;
+            if (!this.stopped) {
+                peer.timer = setTimeout(() => this.dial(url), RECONNECT_DELAY);
+            }
+        });
+
+        ws.on('error', error => {
+            // close follows, which schedules the retry
+            if (!link) log.warn('FEDERATION', `Could not reach ${url}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Register a connected peer and send it everything this hub knows
+     * @param {WebSocket} ws
+     * @param {Object} info - { url, direction, hubId, hubName }
+     * @returns {Object} The link
+     */
+    addLink(ws, info) {
+        const link = {
+            ws,
+            ...info,
+            connectedAt: Date.now(),
+            sent: 0,
+            received: 0
+        };
+        this.links.add(link);
+        log.info('FEDERATION', `Peered with ${link.hubName} (${link.hubId}, ${link.direction})`);
+
+        this.send(link, [...this.localRecords(), ...this.records.values()]);
+        return link;
+    }
+
+    /**
+     * Forget a disconnected peer
+     * @param {Object} link
+     */
+    removeLink(link) {
+        if (this.links.delete(link)) {
+            log.info('FEDERATION', `Lost peer ${link.hubName} (${link.hubId})`);
+        }
+    }
+
+    /**
+     * Find the link for a socket
+     * @param {WebSocket} ws
+     * @returns {Object|null}
+     */
+    findLink(ws) {
+        for (const link of this.links) {
+            if (link.ws === ws) return link;
+        }
+        return null;
+    }
+
+    /**
+     * Send records to one peer in size-limited batches
+     * @param {Object} link
+     * @param {Array} records
+     */
+    send(link, records) {
+        if (records.length === 0 || link.ws.readyState !== WebSocket.OPEN) return;
+
+        batchRecords(records).forEach(batch => {
+            link.ws.send(JSON.stringify({ type: 'peer_responses', hubId: this.hubId, records: batch }));
+        });
+        link.sent += records.length;
+    }
+
+    /**
+     * Share one of this hub's own responses with every peer
+     * @param {string} room - Room the response was given in
+     * @param {Object} response - Stored response
+     */
+    publish(room, response) {
+        const record = this.toRecord(room, response);
+        this.links.forEach(link => this.send(link, [record]));
+    }
+
+    /**
+     * Turn a stored response into a replicated record stamped with this hub
+     * @param {string} room
+     * @param {Object} response
+     * @returns {Object}
+     */
+    toRecord(room, response) {
+        return {
+            questionId: response.questionId,
+            userId: response.userId,
+            displayName: response.displayName,
+            answer: response.answer,
+            reason: response.reason,
+            timestamp: response.timestamp,
+            attempts: response.attempts,
+            history: response.history,
+            votes: response.votes,
+            room,
+            hubId: this.hubId,
+            hubName: this.hubName
+        };
+    }
+
+    /**
+     * Merge records from a peer into what we have for each student and question,
+     * and pass the ones that added something on to the other peers
+     * @param {Object} link - Peer the records came from
+     * @param {Array} records
+     * @returns {number} Records that were new to this hub
+     */
+    receive(link, records) {
+        if (!Array.isArray(records)) return 0;
+
+        const fresh = [];
+        records.forEach(record => {
+            const problem = validateRecord(record);
+            if (problem) {
+                log.warn('FEDERATION', `Dropped a record from ${link.hubName}: ${problem}`);
+                return;
+            }
+            // Our own responses echoed back by a peer
+            if (record.hubId === this.hubId) return;
+
+            const existing = this.records.get(recordKey(record));
+            const merged = existing ? mergeRecords(existing, record) : record;
+            if (existing && sameRecord(existing, merged)) return;
+
+            this.records.set(recordKey(record), merged);
+            fresh.push(merged);
+        });
+
+        link.received += records.length;
+        if (fresh.length > 0) {
+            this.links.forEach(other => {
+                if (other !== link) this.send(other, fresh);
+            });
+        }
+        return fresh.length;
+    }
+
+    /**
+     * Every response known school-wide, one merged record per student and question
+     * @returns {Array} Records from this hub and its peers
+     */
+    listSchoolRecords() {
+        const merged = new Map(this.records);
+        this.localRecords().forEach(record => {
+            const existing = merged.get(recordKey(record));
+            merged.set(recordKey(record), existing ? mergeRecords(existing, record) : record);
+        });
+        return Array.from(merged.values());
+    }
+
+    /**
+     * Describe federation state for the API
+     * @returns {Object}
+     */
+    describe() {
+        return {
+            enabled: this.isEnabled(),
+            hubId: this.hubId,
+            hubName: this.hubName,
+            replicatedRecords: this.records.size,
+            peers: Array.from(this.links).map(link => ({
+                hubId: link.hubId,
+                hubName: link.hubName,
+                url: link.url || null,
+                direction: link.direction,
+                connectedAt: new Date(link.connectedAt).toISOString(),
+                sent: link.sent,
+                received: link.received
+            })),
+            configuredPeers: Array.from(this.outbound.values()).map(peer => ({
+                url: peer.url,
+                connected: Array.from(this.links).some(link => link.url === peer.url)
+            }))
+        };
+    }
+
+    /**
+     * Close outbound peer connections and stop reconnecting
+     */
+    stop() {
+        this.stopped = true;
+        this.outbound.forEach(peer => {
+            clearTimeout(peer.timer);
+            if (peer.ws) peer.ws.close();
+        });
+    }
+}
+
+module.exports = {
+    Federation,
+    recordKey,
+    validateRecord
+};
@@ -0,0 +1,310 @@
+/**
+ * Local Hub Firebase Bridge
+ * Uploads the hub's collected responses to Firestore with a teacher service account
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ResponseCRDT = require('./response-crdt');
+const log = require('./hub-log');
+
+// Each response is two writes (quizResponses and users/{uid}/responses); Firestore allows 500 per batch
+const BATCH_SIZE = 200;
+const APP_NAME = 'ap-stats-local-hub';
+const EMULATOR_PROJECT_ID = 'demo-ap-stats';
+
+// Same collection names as firebase-config.js
+const COLLECTIONS = {
+    users: 'users',
+    quizResponses: 'quizResponses'
+};
+
+/**
+ * Key identifying one student's answer to one question in one room
+ * @param {Object} response - Response with room, questionId, and userId
+ * @returns {string}
+ */
+function recordKey(response) {
+    return `${response.room}/${response.questionId}/${response.userId}`;
+}
+
+/**
+ * What an upload of a response held, so it is uploaded again once it gains an attempt or a vote
+ * @param {Object} response - Hub response
+ * @returns {string}
+ */
+function uploadVersion(response) {
+    return `${response.timestamp}:${response.attempts || 1}:${(response.votes || []).length}`;
+}
+
+/**
+ * Record of a Firestore response document, timed by when the student answered (clientTimestamp)
+ * rather than when Firestore stored it, like HybridDataService.withAnswerTime()
+ * @param {Object} doc - Document data
+ * @returns {Object}
+ */
+function fromCloudResponse(doc) {
+    return ResponseCRDT.fromResponse(doc.clientTimestamp ? { ...doc, timestamp: doc.clientTimestamp } : doc);
+}
+
+/**
+ * Whether a cloud record already holds every attempt and vote of a local one. Compares ids rather than
+ * serialized records, since Firestore keeps arrayUnion arrays in whatever order the writes arrived
+ * @param {Object} cloud - Record of the Firestore document
+ * @param {Object} local - Record of the hub's response
+ * @returns {boolean}
+ */
+function cloudHasRecord(cloud, local) {
+    const attemptIds = new Set(cloud.attempts.map(attempt => attempt.id));
+    const voteIds = new Set(cloud.votes.map(vote => vote.id));
+    return local.attempts.every(attempt => attemptIds.has(attempt.id)) &&
+        local.votes.every(vote => voteIds.has(vote.id)) &&
+        (local.legacyAttempts || 0) <= (cloud.legacyAttempts || 0);
+}
+
+/**
+ * Firestore document IDs can't contain slashes or be "." / ".."
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isValidDocumentId(id) {
+    return typeof id === 'string' && id !== '' && id !== '.' && id !== '..' && !id.includes('/');
+}
+
+class FirebaseBridge {
+    /**
+     * @param {Object} options
+     * @param {string} [options.credentialsFile] - Service account JSON key
+     * @param {string} [options.projectId] - Firebase project ID (read from the key when omitted)
+     * @param {string} options.ledgerFile - Where uploaded records are remembered between runs
+     * @param {string} options.reportDir - Where each upload's report is written
+     */
+    constructor({ credentialsFile, projectId, ledgerFile, reportDir }) {
+        this.credentialsFile = credentialsFile || null;
+        this.projectId = projectId || null;
+        this.ledgerFile = ledgerFile;
+        this.reportDir = reportDir;
+        this.emulatorHost = process.env.FIRESTORE_EMULATOR_HOST || null;
+        this.db = null;
+        this.uploading = false;
+    }
+
+    /**
+     * Whether the bridge has a credential or an emulator to talk to
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return Boolean(this.credentialsFile || this.emulatorHost);
+    }
+
+    /**
+     * Describe where uploads go, for /info and the API
+     * @returns {Object} { configured, target, projectId }
+     */
+    describe() {
+        return {
+            configured: this.isConfigured(),
+            target: this.emulatorHost ? `Firestore emulator at ${this.emulatorHost}` : 'Firestore',
+            projectId: this.projectId
+        };
+    }
+
+    /**
+     * Initialize firebase-admin on first use
+     * @returns {Object} Firestore instance
+     * @throws {Error} If firebase-admin isn't installed or the credential can't be read
+     */
+    connect() {
+        if (this.db) return this.db;
+        if (!this.isConfigured()) {
+            throw new Error('No Firebase credential; start the hub with --firebase-credentials or HUB_FIREBASE_CREDENTIALS');
+        }
+
+        let admin;
+        try {
+            admin = require('firebase-admin');
+        } catch (error) {
+            throw new Error('firebase-admin is not installed; run npm install on a computer with internet access');
+        }
+
+        const options = {};
+        if (this.credentialsFile) {
+            const serviceAccount = JSON.parse(fs.readFileSync(this.credentialsFile, 'utf8'));
+            options.credential = admin.credential.cert(serviceAccount);
+            this.projectId = this.projectId || serviceAccount.project_id;
+        }
+        // The emulator accepts any project ID; demo- IDs never reach a real project
+        this.projectId = this.projectId || EMULATOR_PROJECT_ID;
+        options.projectId = this.projectId;
+
+        const app = admin.apps.find(existing => existing && existing.name === APP_NAME) ||
+            admin.initializeApp(options, APP_NAME);
+        this.admin = admin;
+        this.db = app.firestore();
+        return this.db;
+    }
+
+    /**
+     * Upload responses that changed since the last upload, in batches
+     * Each response is merged with the student's record in Firestore (see response-crdt.js), so attempts
+     * and votes made in the cloud are kept; one the cloud already has in full is skipped.
+     * @param {Array} responses - Hub responses, each with its room
+     * @param {Object} [context] - Extra fields for the report, e.g. { room, requestedBy }
+     * @returns {Promise<Object>} Report: { uploaded, skipped, failed } lists of records, plus the report file
+     */
+    async upload(responses, context = {}) {
+        if (this.uploading) {
+            throw new Error('An upload is already running');
+        }
+        this.uploading = true;
+
+        try {
+            const db = this.connect();
+            const { Timestamp, FieldValue } = this.admin.firestore;
+            const ledger = this.loadLedger();
+            const report = {
+                startedAt: new Date().toISOString(),
+                ...context,
+                ...this.describe(),
+                uploaded: [],
+                skipped: [],
+                failed: []
+            };
+            const record = (response, extra = {}) => ({
+                room: response.room,
+                questionId: response.questionId,
+                userId: response.userId,
+                timestamp: response.timestamp,
+                ...extra
+            });
+
+            const pending = [];
+            responses.forEach(response => {
+                if (!isValidDocumentId(response.questionId) || !isValidDocumentId(response.userId)) {
+                    report.failed.push(record(response, { error: 'questionId and userId must not contain "/"' }));
+                } else if (ledger[recordKey(response)] === uploadVersion(response)) {
+                    report.skipped.push(record(response, { reason: 'already_uploaded' }));
+                } else {
+                    pending.push(response);
+                }
+            });
+
+            for (let start = 0; start < pending.length; start += BATCH_SIZE) {
+                const chunk = pending.slice(start, start + BATCH_SIZE);
+                const classRefs = chunk.map(response => db
+                    .collection(COLLECTIONS.quizResponses)
+                    .doc(`${response.questionId}_${response.userId}`));
+
+                try {
+                    // Students who reconnected from home may have answered again in the cloud
+                    const existing = await db.getAll(...classRefs);
+                    const batch = db.batch();
+                    const written = [];
+
+                    chunk.forEach((response, index) => {
+                        const local = ResponseCRDT.fromResponse(response);
+                        const cloud = existing[index].exists ? fromCloudResponse(existing[index].data()) : null;
+                        const merged = cloud ? ResponseCRDT.merge(cloud, local) : local;
+                        if (cloud && cloudHasRecord(cloud, local)) {
+                            report.skipped.push(record(response, { reason: 'already_in_cloud' }));
+                            ledger[recordKey(response)] = uploadVersion(response);
+                            return;
+                        }
+
+                        // arrayUnion keeps attempts and votes a student adds in the cloud while this batch is in flight
+                        const mergedResponse = ResponseCRDT.toResponse(merged);
+                        const data = {
+                            userId: response.userId,
+                            questionId: response.questionId,
+                            answer: mergedResponse.answer,
+                            reason: mergedResponse.reason || '',
+                            timestamp: Timestamp.fromMillis(mergedResponse.timestamp),
+                            clientTimestamp: mergedResponse.timestamp,
+                            attempts: mergedResponse.attempts,
+                            displayName: response.displayName || null,
+                            source: 'local_hub',
+                            room: response.room
+                        };
+                        if (mergedResponse.history.length > 0) {
+                            data.history = FieldValue.arrayUnion(...mergedResponse.history);
+                        }
+                        if (mergedResponse.votes.length > 0) {
+                            data.votes = FieldValue.arrayUnion(...mergedResponse.votes);
+                        }
+                        batch.set(classRefs[index], data, { merge: true });
+                        batch.set(db
+                            .collection(COLLECTIONS.users)
+                            .doc(response.userId)
+                            .collection('responses')
+                            .doc(response.questionId), data, { merge: true });
+                        written.push(response);
+                    });
+
+                    if (written.length > 0) {
+                        await batch.commit();
+                    }
+                    written.forEach(response => {
+                        report.uploaded.push(record(response));
+                        ledger[recordKey(response)] = uploadVersion(response);
+                    });
+                } catch (error) {
+                    // A failed batch is retried by the next upload; later batches still go
+                    log.error('UPLOAD', `Batch of ${chunk.length} responses failed`, { error });
+                    chunk.forEach(response => report.failed.push(record(response, { error: error.message })));
+                }
+
+                this.saveLedger(ledger);
+            }
+
+            report.finishedAt = new Date().toISOString();
+            report.reportFile = this.writeReport(report);
+            return report;
+        } finally {
+            this.uploading = false;
+        }
+    }
+
+    /**
+     * Read the record key -> uploaded version ledger
+     * @returns {Object}
+     */
+    loadLedger() {
+        try {
+            return JSON.parse(fs.readFileSync(this.ledgerFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.warn('UPLOAD', `Ignoring unreadable ${this.ledgerFile}: ${error.message}`);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Persist the ledger so restarts don't upload the same responses again
+     * @param {Object} ledger
+     */
+    saveLedger(ledger) {
+        fs.mkdirSync(path.dirname(this.ledgerFile), { recursive: true });
+        const tmpPath = `${this.ledgerFile}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(ledger, null, 2));
+        fs.renameSync(tmpPath, this.ledgerFile);
+    }
+
+    /**
+     * Write an upload report to the report directory
+     * @param {Object} report
+     * @returns {string} Path of the report file
+     */
+    writeReport(report) {
+        fs.mkdirSync(this.reportDir, { recursive: true });
+        const stamp = report.startedAt.replace(/[:.]/g, '-');
+        const filePath = path.join(this.reportDir, `upload-${stamp}.json`);
+        fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+        return filePath;
+    }
+}
+
+module.exports = {
+    FirebaseBridge,
+    recordKey
+};
@@ -0,0 +1,164 @@
+/**
+ * Local Hub Session Journal
+ * Append-only on-disk log of hub state so a restarted server can rebuild its classroom session
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./hub-log');
+
+class SessionJournal {
+    /**
+     * @param {string} filePath - Location of the journal file (created on first write)
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.lockPath = `${filePath}.lock`;
+        this.fd = null;
+        this.locked = false;
+    }
+
+    /**
+     * Claim the journal for this process with a lock file holding its pid, so a second hub started
+     * on the same data directory can't compact the journal out from under the running one
+     * @throws {Error} When another running process holds the lock
+     */
+    lock() {
+        if (this.locked) return;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                const fd = fs.openSync(this.lockPath, 'wx');
+                fs.writeSync(fd, String(process.pid));
+                fs.closeSync(fd);
+                this.locked = true;
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const holder = readLockHolder(this.lockPath);
+            if (holder === null || (holder !== process.pid && isRunning(holder))) {
+                throw new Error(`${this.filePath} is in use by another hub (process ${holder === null ? 'unknown' : holder}); ` +
+                    `stop it or use a different HUB_DATA_DIR, or delete ${this.lockPath} if no hub is running`);
+            }
+
+            // Left behind by a hub that crashed
+            log.warn('JOURNAL', `Removing stale lock left by process ${holder}`);
+            fs.rmSync(this.lockPath, { force: true });
+        }
+
+        throw new Error(`Could not lock ${this.filePath}`);
+    }
+
+    /**
+     * Release the lock taken by lock()
+     */
+    unlock() {
+        if (!this.locked) return;
+        this.locked = false;
+        if (readLockHolder(this.lockPath) === process.pid) {
+            fs.rmSync(this.lockPath, { force: true });
+        }
+    }
+
+    /**
+     * Read every entry currently on disk
+     * @returns {Array<Object>} Entries in the order they were written
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) return [];
+
+        const entries = [];
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // A torn last line is expected if the hub died mid-write
+                log.warn('JOURNAL', `Skipping unreadable entry at line ${index + 1}`);
+            }
+        });
+
+        return entries;
+    }
+
+    /**
+     * Open the journal for appending
+     */
+    open() {
+        if (this.fd !== null) return;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.fd = fs.openSync(this.filePath, 'a');
+    }
+
+    /**
+     * Append a single entry
+     * @param {string} op - Entry type (session, connection, identify, response, remove)
+     * @param {Object} data - Entry payload
+     */
+    append(op, data = {}) {
+        if (this.fd === null) return;
+
+        try {
+            fs.writeSync(this.fd, JSON.stringify({ op, at: Date.now(), ...data }) + '\n');
+        } catch (error) {
+            log.error('JOURNAL', 'Failed to write entry', { error });
+        }
+    }
+
+    /**
+     * Atomically replace the journal contents, e.g. with a compacted snapshot
+     * @param {Array<Object>} entries - Entries to keep
+     */
+    rewrite(entries) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const tmpPath = `${this.filePath}.tmp`;
+        const content = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+        fs.writeFileSync(tmpPath, content);
+
+        const wasOpen = this.fd !== null;
+        this.close();
+        fs.renameSync(tmpPath, this.filePath);
+        if (wasOpen) this.open();
+    }
+
+    /**
+     * Flush and close the journal
+     */
+    close() {
+        if (this.fd === null) return;
+        try {
+            fs.fsyncSync(this.fd);
+        } finally {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+// Pid written in a lock file, or null while it's being written or unreadable
+function readLockHolder(lockPath) {
+    try {
+        const pid = parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+        return Number.isInteger(pid) && pid > 0 ? pid : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: the process exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+module.exports = { SessionJournal };
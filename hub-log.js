@@ -0,0 +1,141 @@
+/**
+ * Local Hub Logging
+ * Leveled, structured JSON logs in rotating files, echoed to the console as [TAG] lines
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024; // 5 MB per file
+const DEFAULT_MAX_FILES = 5; // hub.log plus hub.log.1 - hub.log.4
+
+// Until configure() is called (e.g. while parsing options) messages only go to the console
+const state = {
+    level: 'info',
+    filePath: null,
+    fd: null,
+    size: 0,
+    maxBytes: DEFAULT_MAX_BYTES,
+    maxFiles: DEFAULT_MAX_FILES
+};
+
+/**
+ * Start writing log files
+ * @param {Object} options
+ * @param {string} options.dir - Directory for hub.log and its rotations
+ * @param {string} [options.level] - Lowest level written: debug, info, warn, or error
+ * @param {number} [options.maxBytes] - Rotate when hub.log would grow past this size
+ * @param {number} [options.maxFiles] - Files kept, including hub.log
+ */
+function configure({ dir, level = 'info', maxBytes = DEFAULT_MAX_BYTES, maxFiles = DEFAULT_MAX_FILES }) {
+    if (!LEVELS[level]) {
+        throw new Error(`Unknown log level "${level}" (use ${Object.keys(LEVELS).join(', ')})`);
+    }
+
+    close();
+    state.level = level;
+    state.maxBytes = maxBytes;
+    state.maxFiles = Math.max(1, maxFiles);
+    state.filePath = path.join(dir, 'hub.log');
+
+    fs.mkdirSync(dir, { recursive: true });
+    state.fd = fs.openSync(state.filePath, 'a');
+    state.size = fs.fstatSync(state.fd).size;
+}
+
+/**
+ * Turn field values into JSON-safe values (errors keep their message, code, and stack)
+ * @param {Object} fields
+ * @returns {Object}
+ */
+function serializeFields(fields) {
+    const serialized = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value instanceof Error) {
+            serialized[key] = { message: value.message, code: value.code, stack: value.stack };
+        } else if (value !== undefined) {
+            serialized[key] = value;
+        }
+    });
+    return serialized;
+}
+
+/**
+ * Shift hub.log to hub.log.1, hub.log.1 to hub.log.2, ... dropping the oldest
+ */
+function rotate() {
+    fs.closeSync(state.fd);
+
+    for (let index = state.maxFiles - 1; index >= 1; index--) {
+        const from = index === 1 ? state.filePath : `${state.filePath}.${index - 1}`;
+        const to = `${state.filePath}.${index}`;
+        if (fs.existsSync(from)) fs.renameSync(from, to);
+    }
+    if (state.maxFiles === 1) fs.truncateSync(state.filePath, 0);
+
+    state.fd = fs.openSync(state.filePath, 'a');
+    state.size = 0;
+}
+
+/**
+ * Write one log entry
+ * @param {string} level - debug, info, warn, or error
+ * @param {string} tag - Subsystem, e.g. CONNECT or TEACHER
+ * @param {string} message - Human-readable message
+ * @param {Object} [fields] - Structured details; an `error` field is summarized on the console
+ */
+function write(level, tag, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[state.level]) return;
+
+    const consoleLine = `[${tag}] ${message}${fields.error ? `: ${fields.error.message || fields.error}` : ''}`;
+    if (level === 'error') {
+        console.error(consoleLine);
+    } else if (level === 'warn') {
+        console.warn(consoleLine);
+    } else {
+        console.log(consoleLine);
+    }
+
+    if (state.fd === null) return;
+
+    const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        tag,
+        msg: message,
+        ...serializeFields(fields)
+    }) + '\n';
+
+    try {
+        const bytes = Buffer.byteLength(line);
+        if (state.size > 0 && state.size + bytes > state.maxBytes) rotate();
+        fs.writeSync(state.fd, line);
+        state.size += bytes;
+    } catch (error) {
+        console.error(`[LOG] Failed to write ${state.filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Flush and close the log file
+ */
+function close() {
+    if (state.fd === null) return;
+    try {
+        fs.fsyncSync(state.fd);
+    } finally {
+        fs.closeSync(state.fd);
+        state.fd = null;
+    }
+}
+
+module.exports = {
+    LEVELS,
+    configure,
+    close,
+    debug: (tag, message, fields) => write('debug', tag, message, fields),
+    info: (tag, message, fields) => write('info', tag, message, fields),
+    warn: (tag, message, fields) => write('warn', tag, message, fields),
+    error: (tag, message, fields) => write('error', tag, message, fields)
+};
@@ -0,0 +1,239 @@
+/**
+ * Local Hub Metrics
+ * Counters, gauges, and histograms rendered in the Prometheus text exposition format
+ */
+
+// Seconds; a broadcast to a full room on a laptop should land well under 50 ms
+const DEFAULT_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set, e.g. {type="ping"}
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base for metrics that keep one series per label combination
+ */
+class Metric {
+    /**
+     * @param {string} name - Metric name, e.g. hub_messages_received_total
+     * @param {string} help - Description shown by Prometheus
+     * @param {Array<string>} labelNames - Labels every series must carry
+     */
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label key -> { labels, ... }
+    }
+
+    /**
+     * Find or create the series for a label set
+     * @param {Object} labels
+     * @param {Function} create - Returns the initial series state
+     * @returns {Object}
+     */
+    getSeries(labels, create) {
+        const picked = {};
+        this.labelNames.forEach(name => {
+            picked[name] = labels[name] === undefined ? '' : labels[name];
+        });
+
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: picked, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * HELP and TYPE lines
+     * @param {string} type
+     * @returns {Array<string>}
+     */
+    header(type) {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames = []) {
+        super(name, help, labelNames);
+        // Unlabeled counters start at zero so they appear before their first event
+        if (labelNames.length === 0) this.inc({}, 0);
+    }
+
+    /**
+     * Add to a counter
+     * @param {Object} [labels]
+     * @param {number} [value]
+     */
+    inc(labels = {}, value = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        return [
+            ...this.header('counter'),
+            ...Array.from(this.series.values()).map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`)
+        ];
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} labelNames
+     * @param {Function} [collect] - Called at scrape time; returns [{ labels, value }] or a single number
+     */
+    constructor(name, help, labelNames = [], collect = null) {
+        super(name, help, labelNames);
+        this.collect = collect;
+    }
+
+    /**
+     * Set a gauge's value
+     * @param {Object} labels
+     * @param {number} value
+     */
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        if (this.collect) {
+            const collected = this.collect();
+            this.series.clear();
+            if (typeof collected === 'number') {
+                this.set({}, collected);
+            } else {
+                collected.forEach(({ labels, value }) => this.set(labels, value));
+            }
+        }
+
+        return [
+            ...this.header('gauge'),
+            ...Array.from(this.series.values()).map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`)
+        ];
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} labelNames
+     * @param {Array<number>} [buckets] - Upper bounds, ascending
+     */
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        super(name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    /**
+     * Record one observation
+     * @param {Object} labels
+     * @param {number} value
+     */
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = this.header('histogram');
+        this.series.forEach(series => {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+        return lines;
+    }
+}
+
+/**
+ * Holds the hub's metrics and renders them for /metrics
+ */
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    /**
+     * Create and register a counter
+     * @returns {Counter}
+     */
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    /**
+     * Create and register a gauge, optionally computed at scrape time
+     * @returns {Gauge}
+     */
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    /**
+     * Create and register a histogram
+     * @returns {Histogram}
+     */
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Add a metric to the registry
+     * @param {Metric} metric
+     * @returns {Metric}
+     */
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Render every metric in the Prometheus text format
+     * @returns {string}
+     */
+    render() {
+        return this.metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    DEFAULT_BUCKETS,
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram
+};
@@ -0,0 +1,263 @@
+/**
+ * Local Hub Protocol
+ * Message schemas, protocol versions, and structured error codes for the hub WebSocket
+ */
+
+const ResponseCRDT = require('./response-crdt');
+
+// Version 1 is the original unversioned protocol; clients that don't send a version get it
+const PROTOCOL_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+
+const ERROR_CODES = {
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+    NOT_IDENTIFIED: 'NOT_IDENTIFIED',
+    USER_MISMATCH: 'USER_MISMATCH',
+    INVALID_ROOM_CODE: 'INVALID_ROOM_CODE',
+    INVALID_TEACHER_KEY: 'INVALID_TEACHER_KEY',
+    INVALID_FEDERATION_KEY: 'INVALID_FEDERATION_KEY',
+    AUTH_FAILED: 'AUTH_FAILED',
+    FORBIDDEN: 'FORBIDDEN',
+    SUBMISSIONS_LOCKED: 'SUBMISSIONS_LOCKED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    NOT_FOUND: 'NOT_FOUND'
+};
+
+const MAX_ID_LENGTH = 128;
+const MAX_NAME_LENGTH = 100;
+const MAX_TEXT_LENGTH = 10000;
+
+// Client timestamps must fall in this window around the hub clock; an answer can be replayed
+// long after it was given, but never from the future
+const MAX_TIMESTAMP_AGE = 366 * 24 * 3600000; // a school year
+const MAX_CLOCK_SKEW = 24 * 3600000; // a day
+
+const questionIdField = { type: 'string', maxLength: MAX_ID_LENGTH };
+const timestampField = { type: 'number', timestamp: true };
+
+// What a student reports doing in an activity message
+const ACTIVITY_STATES = ['viewing', 'typing', 'idle'];
+
+// Field rules per inbound message type; fields not listed are ignored
+const MESSAGE_SCHEMAS = {
+    identify: {
+        fields: {
+            userId: { type: 'string', maxLength: MAX_ID_LENGTH },
+            displayName: { type: 'string', maxLength: MAX_NAME_LENGTH },
+            roomCode: { type: 'string', maxLength: MAX_ID_LENGTH, nullable: true },
+            role: { type: 'string', enum: ['student', 'teacher', 'peer'] },
+            teacherKey: { type: 'string', maxLength: MAX_ID_LENGTH },
+            federationKey: { type: 'string', maxLength: MAX_ID_LENGTH },
+            hubId: { type: 'string', maxLength: MAX_ID_LENGTH },
+            hubName: { type: 'string', maxLength: MAX_NAME_LENGTH },
+            pin: { type: 'string', maxLength: MAX_ID_LENGTH },
+            rosterName: { type: 'string', maxLength: MAX_NAME_LENGTH },
+            sessionToken: { type: 'string', maxLength: MAX_ID_LENGTH },
+            protocolVersion: { type: 'number' },
+            syncEpoch: { type: 'string', maxLength: MAX_ID_LENGTH },
+            syncSince: { type: 'number' }
+        },
+        check(message) {
+            // Roster hubs identify students by credential; the hub decides whether a bare userId is enough
+            const isStudent = message.role === undefined || message.role === 'student';
+            if (isStudent && !message.userId && !message.pin && !message.sessionToken) {
+                return { field: 'userId', message: 'userId, pin, or sessionToken is required' };
+            }
+            if (message.role === 'peer' && !message.hubId) {
+                return { field: 'hubId', message: 'hubId is required' };
+            }
+            return null;
+        }
+    },
+    submit_response: {
+        fields: {
+            questionId: { ...questionIdField, required: true },
+            answer: { type: ['string', 'number', 'boolean', 'object'], required: true, maxLength: MAX_TEXT_LENGTH },
+            reason: { type: 'string', maxLength: MAX_TEXT_LENGTH, nullable: true },
+            userId: { type: 'string', maxLength: MAX_ID_LENGTH },
+            displayName: { type: 'string', maxLength: MAX_NAME_LENGTH },
+            timestamp: timestampField,
+            // The student's attempts and the votes on this answer (see response-crdt.js)
+            // Capped so a full submission stays under the 64 KB message limit; senders trim with trimForSending
+            history: { type: 'array', maxLength: ResponseCRDT.MAX_HISTORY_LENGTH },
+            votes: { type: 'array', maxLength: ResponseCRDT.MAX_VOTES_LENGTH }
+        },
+        check(message) {
+            const badAttempt = (message.history || []).some(attempt =>
+                typeOf(attempt) !== 'object' || attempt.answer === undefined || !isRecentTimestamp(attempt.timestamp));
+            if (badAttempt) {
+                return { field: 'history', message: 'history entries need an answer and a timestamp within a year of now' };
+            }
+            const badVote = (message.votes || []).some(vote =>
+                typeOf(vote) !== 'object' || typeof vote.voter !== 'string' || !isRecentTimestamp(vote.timestamp));
+            if (badVote) {
+                return { field: 'votes', message: 'votes need a voter and a timestamp within a year of now' };
+            }
+            return null;
+        }
+    },
+    activity: {
+        fields: {
+            questionId: { ...questionIdField, nullable: true },
+            state: { type: 'string', required: true, enum: ACTIVITY_STATES }
+        }
+    },
+    request_sync: {
+        fields: {
+            epoch: { type: 'string', maxLength: MAX_ID_LENGTH },
+            since: { type: 'number' }
+        }
+    },
+    ping: { fields: {} },
+    get_stats: { fields: {} },
+    push_question: {
+        fields: { questionId: { ...questionIdField, required: true } }
+    },
+    lock_submissions: {
+        fields: {
+            questionId: { ...questionIdField, nullable: true },
+            locked: { type: 'boolean' }
+        }
+    },
+    reveal_answer: {
+        fields: { questionId: { ...questionIdField, required: true } }
+    },
+    clear_question: {
+        fields: { questionId: { ...questionIdField, required: true } }
+    },
+    end_session: { fields: {} },
+    peer_responses: {
+        fields: {
+            hubId: { type: 'string', required: true, maxLength: MAX_ID_LENGTH },
+            records: { type: 'array', required: true }
+        }
+    },
+    kick_client: {
+        fields: {
+            userId: { type: 'string', maxLength: MAX_ID_LENGTH },
+            clientId: { type: 'string', maxLength: MAX_ID_LENGTH },
+            reason: { type: 'string', maxLength: MAX_NAME_LENGTH * 2 }
+        },
+        check(message) {
+            if (!message.userId && !message.clientId) {
+                return { field: 'userId', message: 'userId or clientId is required' };
+            }
+            return null;
+        }
+    }
+};
+
+/**
+ * Get the JSON-ish type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Check that a client timestamp is plausible for the hub clock
+ * @param {*} value - Milliseconds since the epoch
+ * @returns {boolean}
+ */
+function isRecentTimestamp(value) {
+    const now = Date.now();
+    return Number.isFinite(value) && value >= now - MAX_TIMESTAMP_AGE && value <= now + MAX_CLOCK_SKEW;
+}
+
+/**
+ * Validate one field against its rule
+ * @returns {string|null} Problem description, or null if valid
+ */
+function checkField(value, rule) {
+    if (value === undefined || (value === null && rule.nullable)) {
+        return rule.required ? 'is required' : null;
+    }
+
+    const allowed = Array.isArray(rule.type) ? rule.type : [rule.type];
+    const actual = typeOf(value);
+    if (!allowed.includes(actual)) {
+        return `must be ${allowed.join(' or ')}, got ${actual}`;
+    }
+
+    if (actual === 'number' && !Number.isFinite(value)) {
+        return 'must be a finite number';
+    }
+
+    if (rule.timestamp && !isRecentTimestamp(value)) {
+        return 'must be a time within the last year and not in the future';
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of ${rule.enum.join(', ')}`;
+    }
+
+    if (rule.maxLength) {
+        const length = actual === 'object' || actual === 'array' ? JSON.stringify(value).length : String(value).length;
+        if (length > rule.maxLength) {
+            return `must be at most ${rule.maxLength} characters`;
+        }
+    }
+
+    if (rule.required && actual === 'string' && value.trim() === '') {
+        return 'must not be empty';
+    }
+
+    return null;
+}
+
+/**
+ * Validate an inbound message
+ * @param {*} message - Parsed JSON from a client
+ * @returns {Object|null} { code, message, field } describing the first problem, or null if valid
+ */
+function validateMessage(message) {
+    if (typeOf(message) !== 'object' || typeof message.type !== 'string') {
+        return { code: ERROR_CODES.INVALID_MESSAGE, message: 'Message must be an object with a string type' };
+    }
+
+    const schema = MESSAGE_SCHEMAS[message.type];
+    if (!schema) {
+        return { code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE, message: `Unknown message type: ${message.type}` };
+    }
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        const problem = checkField(message[field], rule);
+        if (problem) {
+            return { code: ERROR_CODES.INVALID_MESSAGE, message: `${field} ${problem}`, field };
+        }
+    }
+
+    const problem = schema.check ? schema.check(message) : null;
+    if (problem) {
+        return { code: ERROR_CODES.INVALID_MESSAGE, ...problem };
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the protocol version a client asked for
+ * @param {*} requested - protocolVersion from identify (undefined for legacy clients)
+ * @returns {number|null} Version to use, or null if unsupported
+ */
+function negotiateVersion(requested) {
+    if (requested === undefined) return 1;
+    return SUPPORTED_VERSIONS.includes(requested) ? requested : null;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    SUPPORTED_VERSIONS,
+    ACTIVITY_STATES,
+    ERROR_CODES,
+    MESSAGE_SCHEMAS,
+    validateMessage,
+    negotiateVersion
+};
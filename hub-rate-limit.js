@@ -0,0 +1,111 @@
+/**
+ * Local Hub Rate Limiting
+ * Per-connection token buckets so one looping client can't flood the room
+ */
+
+// Largest WebSocket message the hub accepts; a long free-response answer is a few KB
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// Invalid JSON messages a connection may send before it is dropped
+const MAX_INVALID_MESSAGES = 10;
+
+// Rate-limited messages a connection may keep sending before it is dropped
+const MAX_RATE_LIMITED_MESSAGES = 200;
+
+// Bucket size (burst) and refill rate per message type; types not listed share the default bucket.
+// submit_response allows a burst so a reconnecting client can resend answers saved while offline.
+const RATE_LIMITS = {
+    submit_response: { capacity: 30, perSecond: 5 },
+    request_sync: { capacity: 3, perSecond: 0.2 },
+    activity: { capacity: 10, perSecond: 1 },
+    get_stats: { capacity: 5, perSecond: 1 },
+    identify: { capacity: 5, perSecond: 0.5 },
+    ping: { capacity: 5, perSecond: 1 },
+    peer_responses: { capacity: 100, perSecond: 20 },
+    default: { capacity: 20, perSecond: 5 }
+};
+
+/**
+ * Token bucket: holds up to capacity tokens, refilled continuously at perSecond
+ */
+class TokenBucket {
+    /**
+     * @param {number} capacity - Maximum burst
+     * @param {number} perSecond - Tokens added per second
+     */
+    constructor(capacity, perSecond) {
+        this.capacity = capacity;
+        this.perSecond = perSecond;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Take one token if available
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True if the message may proceed
+     */
+    take(now = Date.now()) {
+        const elapsed = (now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.perSecond);
+        this.updatedAt = now;
+
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * Time until the next token is available
+     * @returns {number} Milliseconds
+     */
+    retryAfter() {
+        return Math.ceil(Math.max(0, 1 - this.tokens) / this.perSecond * 1000);
+    }
+}
+
+/**
+ * Rate limiter for one connection, with a bucket per message type
+ */
+class ConnectionRateLimiter {
+    /**
+     * @param {Object} limits - Limits by message type (see RATE_LIMITS)
+     */
+    constructor(limits = RATE_LIMITS) {
+        this.limits = limits;
+        this.buckets = new Map(); // message type -> TokenBucket
+        this.throttled = new Set(); // types currently over their limit
+    }
+
+    /**
+     * Check whether a message of the given type may proceed
+     * @param {string} type - Message type
+     * @returns {Object} { allowed, retryAfter, firstDrop } - firstDrop is true when the type just went over its limit
+     */
+    check(type) {
+        const key = this.limits[type] ? type : 'default';
+        if (!this.buckets.has(key)) {
+            const { capacity, perSecond } = this.limits[key];
+            this.buckets.set(key, new TokenBucket(capacity, perSecond));
+        }
+
+        const bucket = this.buckets.get(key);
+        if (bucket.take()) {
+            this.throttled.delete(key);
+            return { allowed: true, retryAfter: 0, firstDrop: false };
+        }
+
+        const firstDrop = !this.throttled.has(key);
+        this.throttled.add(key);
+        return { allowed: false, retryAfter: bucket.retryAfter(), firstDrop };
+    }
+}
+
+module.exports = {
+    MAX_MESSAGE_BYTES,
+    MAX_INVALID_MESSAGES,
+    MAX_RATE_LIMITED_MESSAGES,
+    RATE_LIMITS,
+    TokenBucket,
+    ConnectionRateLimiter
+};
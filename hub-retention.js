@@ -0,0 +1,78 @@
+/**
+ * Local Hub Response Retention
+ * Parses the retention policy and writes end-of-session archives
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETENTION = 'session';
+
+/**
+ * Parse a retention setting
+ *   never   - keep responses until the teacher deletes them; ending a session only archives
+ *   session - keep responses until the teacher ends the session (archived, then cleared)
+ *   <N>h    - also purge responses N hours after they reach the hub (archived first)
+ * @param {string} value - Setting from --retention or HUB_RETENTION
+ * @returns {Object} { mode: 'never'|'session'|'hours', hours }
+ * @throws {Error} If the value is not a recognized policy
+ */
+function parseRetention(value = DEFAULT_RETENTION) {
+    const setting = String(value).trim().toLowerCase();
+    if (setting === 'never' || setting === 'session') {
+        return { mode: setting, hours: null };
+    }
+
+    const match = setting.match(/^(\d+(?:\.\d+)?)\s*h?$/);
+    if (match && Number(match[1]) > 0) {
+        return { mode: 'hours', hours: Number(match[1]) };
+    }
+
+    throw new Error(`Unknown retention policy "${value}" (use never, session, or a number of hours like 3h)`);
+}
+
+/**
+ * Describe a retention policy for people
+ * @param {Object} retention - Parsed policy
+ * @returns {string}
+ */
+function describeRetention(retention) {
+    switch (retention.mode) {
+        case 'never':
+            return 'Responses are kept until deleted; ending a session archives them without clearing';
+        case 'session':
+            return 'Responses are kept until the teacher ends the session, then archived and cleared';
+        default:
+            return `Responses are archived and removed ${retention.hours} hour${retention.hours === 1 ? '' : 's'} after they reach the hub, or when the teacher ends the session`;
+    }
+}
+
+/**
+ * Write an archive of a room's responses
+ * @param {string} archiveDir - Directory for archives (created if missing)
+ * @param {Object} archive - { room, reason, ... } contents to write
+ * @returns {string} Path of the archive file
+ */
+function writeArchive(archiveDir, archive) {
+    fs.mkdirSync(archiveDir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(archiveDir, `${archive.room}-${stamp}${archive.reason === 'retention' ? '-expired' : ''}.json`);
+    const tmpPath = `${filePath}.tmp`;
+
+    fs.writeFileSync(tmpPath, JSON.stringify({
+        exportType: 'hub_archive',
+        archivedAt: new Date().toISOString(),
+        ...archive
+    }, null, 2));
+    fs.renameSync(tmpPath, filePath);
+
+    return filePath;
+}
+
+module.exports = {
+    DEFAULT_RETENTION,
+    parseRetention,
+    describeRetention,
+    writeArchive
+};
@@ -0,0 +1,350 @@
+/**
+ * Local Hub Class Roster
+ * Loads the teacher's roster CSV and checks student PINs / one-time join codes at identify
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const log = require('./hub-log');
+
+// Join codes avoid look-alike characters (0/O, 1/I/L) so students can type them from a printout
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+// Failed sign-ins allowed per student and per client address before they must wait out the cooldown
+const MAX_SIGN_IN_FAILURES = 5;
+const SIGN_IN_COOLDOWN = 5 * 60000; // 5 minutes
+
+// Accepted spellings of each roster column, compared case-insensitively
+const COLUMN_ALIASES = {
+    userId: ['userid', 'id', 'studentid', 'student_id'],
+    displayName: ['displayname', 'name', 'student', 'studentname', 'student_name'],
+    pin: ['pin', 'password', 'passcode']
+};
+
+/**
+ * Parse CSV text into rows of cells (handles quoted cells, escaped quotes, and CRLF)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, with blank lines dropped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows
+        .map(cells => cells.map(value => value.trim()))
+        .filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Normalize a display name for matching what a student typed against the roster
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Generate a random one-time join code
+ * @returns {string}
+ */
+function generateJoinCode() {
+    const bytes = crypto.randomBytes(JOIN_CODE_LENGTH);
+    return Array.from(bytes, byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Compare two secrets without leaking timing information
+ * @returns {boolean}
+ */
+function secretsMatch(expected, presented) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(presented));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Class roster loaded from a CSV with a header row: displayName (or name), and optionally userId and pin.
+ * Students without a PIN get a one-time join code instead; codes and their use are kept in codesFile
+ * so a restart neither reprints nor reopens them.
+ */
+class Roster {
+    /**
+     * @param {string} filePath - Roster CSV
+     * @param {string} codesFile - JSON file holding generated join codes
+     */
+    constructor(filePath, codesFile) {
+        this.filePath = filePath;
+        this.codesFile = codesFile;
+        this.students = new Map(); // userId -> { userId, displayName, pin, joinCode, joinCodeUsedAt }
+    }
+
+    /**
+     * Read the roster CSV and assign join codes where needed
+     * @returns {number} Number of students loaded
+     * @throws {Error} If the file can't be read or has no name column
+     */
+    load() {
+        const rows = parseCsv(fs.readFileSync(this.filePath, 'utf8').replace(/^\uFEFF/, ''));
+        if (rows.length === 0) throw new Error('Roster is empty');
+
+        const header = rows[0].map(normalizeName);
+        const column = (name) => header.findIndex(cell => COLUMN_ALIASES[name].includes(cell.replace(/\s+/g, '')));
+        const nameColumn = column('displayName');
+        const idColumn = column('userId');
+        const pinColumn = column('pin');
+        if (nameColumn === -1) {
+            throw new Error('Roster needs a header row with a displayName (or name) column');
+        }
+
+        const codes = this.loadCodes();
+        this.students.clear();
+
+        rows.slice(1).forEach((cells, index) => {
+            const displayName = (cells[nameColumn] || '').replace(/\s+/g, ' ');
+            if (!displayName) {
+                log.warn('ROSTER', `Skipping row ${index + 2}: no name`);
+                return;
+            }
+
+            // Without an ID column, derive a stable ID from the name
+            let userId = idColumn !== -1 && cells[idColumn]
+                ? cells[idColumn]
+                : `roster-${normalizeName(displayName).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`;
+            if (this.students.has(userId)) {
+                log.warn('ROSTER', `Duplicate student ID ${userId} on row ${index + 2}; renaming`);
+                userId = `${userId}-${index + 2}`;
+            }
+
+            const pin = pinColumn !== -1 && cells[pinColumn] ? cells[pinColumn] : null;
+            const saved = codes[userId];
+            this.students.set(userId, {
+                userId,
+                displayName,
+                pin,
+                joinCode: pin ? null : (saved ? saved.code : generateJoinCode()),
+                joinCodeUsedAt: !pin && saved ? saved.usedAt || null : null
+            });
+        });
+
+        this.saveCodes();
+        return this.students.size;
+    }
+
+    /**
+     * Read previously generated join codes
+     * @returns {Object} userId -> { code, usedAt }
+     */
+    loadCodes() {
+        try {
+            return JSON.parse(fs.readFileSync(this.codesFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.warn('ROSTER', `Ignoring unreadable ${this.codesFile}: ${error.message}`);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Persist join codes and whether they have been used
+     */
+    saveCodes() {
+        const codes = {};
+        this.students.forEach(student => {
+            if (student.joinCode) {
+                codes[student.userId] = { code: student.joinCode, usedAt: student.joinCodeUsedAt };
+            }
+        });
+
+        const tmpPath = `${this.codesFile}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(codes, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, this.codesFile);
+    }
+
+    /**
+     * Check the credential a student presented at identify
+     * A join code alone identifies its student; a PIN must come with the student's name or roster ID.
+     * @param {Object} attempt - { userId, displayName, pin } from the identify message
+     * @returns {Object|null} The roster student, or null if the credential doesn't match
+     */
+    authenticate(attempt) {
+        const credential = String(attempt.pin || '').trim();
+        if (!credential) return null;
+
+        const code = credential.toUpperCase();
+        for (const student of this.students.values()) {
+            if (student.joinCode && !student.joinCodeUsedAt && secretsMatch(student.joinCode, code)) {
+                student.joinCodeUsedAt = Date.now();
+                this.saveCodes();
+                return student;
+            }
+        }
+
+        const student = this.findStudent(attempt);
+        if (student && student.pin && secretsMatch(student.pin, credential)) {
+            return student;
+        }
+
+        return null;
+    }
+
+    /**
+     * The student a PIN sign-in is for: the roster name (or ID) the student typed, otherwise
+     * the userId and display name the app identified with
+     * @param {Object} attempt - { userId, displayName, rosterName } from the identify message
+     * @returns {Object|null} The student, or null if not on the roster
+     */
+    findStudent(attempt) {
+        if (attempt.rosterName) {
+            return this.students.get(attempt.rosterName) || this.findByName(attempt.rosterName);
+        }
+        return this.students.get(attempt.userId) || this.findByName(attempt.displayName);
+    }
+
+    /**
+     * Find a student by display name
+     * @param {string} displayName
+     * @returns {Object|null} The student, or null if missing or ambiguous
+     */
+    findByName(displayName) {
+        const wanted = normalizeName(displayName);
+        if (!wanted) return null;
+
+        const matches = Array.from(this.students.values())
+            .filter(student => normalizeName(student.displayName) === wanted);
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * Issue a fresh join code, e.g. when a student moves to a new device
+     * @param {string} userId - Roster ID
+     * @returns {Object|null} The updated student, or null if not on the roster
+     */
+    resetJoinCode(userId) {
+        const student = this.students.get(userId);
+        if (!student) return null;
+
+        student.pin = null;
+        student.joinCode = generateJoinCode();
+        student.joinCodeUsedAt = null;
+        this.saveCodes();
+        return student;
+    }
+
+    /**
+     * List students for the teacher, including credentials to hand out
+     * @returns {Array<Object>} [{ userId, displayName, credential, joinCode, joinCodeUsed }]
+     */
+    list() {
+        return Array.from(this.students.values()).map(student => ({
+            userId: student.userId,
+            displayName: student.displayName,
+            credential: student.pin ? 'pin' : 'join_code',
+            joinCode: student.joinCode,
+            joinCodeUsed: Boolean(student.joinCodeUsedAt)
+        }));
+    }
+}
+
+/**
+ * Failed sign-ins counted per key (a student, a client address) rather than per connection, so
+ * reconnecting doesn't reset them; a key that reaches the limit is locked until the cooldown passes
+ */
+class SignInLockout {
+    /**
+     * @param {number} maxFailures - Failures allowed before the cooldown
+     * @param {number} cooldown - Milliseconds a locked key waits, counted from its last failure
+     */
+    constructor(maxFailures = MAX_SIGN_IN_FAILURES, cooldown = SIGN_IN_COOLDOWN) {
+        this.maxFailures = maxFailures;
+        this.cooldown = cooldown;
+        this.failures = new Map(); // key -> { count, lastFailureAt }
+    }
+
+    /**
+     * How long until every key may try again
+     * @param {Array<string>} keys
+     * @returns {number} Milliseconds, 0 when none is locked
+     */
+    remaining(keys, now = Date.now()) {
+        return keys.reduce((longest, key) => {
+            const entry = this.failures.get(key);
+            if (!entry || entry.count < this.maxFailures) return longest;
+            return Math.max(longest, entry.lastFailureAt + this.cooldown - now);
+        }, 0);
+    }
+
+    /**
+     * Count a failed sign-in against each key; failures older than the cooldown are forgotten
+     * @param {Array<string>} keys
+     */
+    recordFailure(keys, now = Date.now()) {
+        keys.forEach(key => {
+            const entry = this.failures.get(key);
+            const count = entry && entry.lastFailureAt + this.cooldown > now ? entry.count + 1 : 1;
+            this.failures.set(key, { count, lastFailureAt: now });
+        });
+    }
+
+    /**
+     * Forget the failures of keys that just signed in
+     * @param {Array<string>} keys
+     */
+    clear(keys) {
+        keys.forEach(key => this.failures.delete(key));
+    }
+
+    /**
+     * Drop entries whose cooldown has passed
+     */
+    prune(now = Date.now()) {
+        this.failures.forEach((entry, key) => {
+            if (entry.lastFailureAt + this.cooldown <= now) {
+                this.failures.delete(key);
+            }
+        });
+    }
+}
+
+module.exports = {
+    MAX_SIGN_IN_FAILURES,
+    SIGN_IN_COOLDOWN,
+    Roster,
+    SignInLockout,
+    parseCsv
+};
@@ -0,0 +1,482 @@
+/**
+ * Local Hub Load Simulator
+ * Spawns simulated students that speak the hub protocol, so a class can be rehearsed before test day
+ *
+ * Usage: node hub-simulator.js --url ws://192.168.1.20:8080 --students 35 --questions 10
+ */
+
+const WebSocket = require('ws');
+const curriculum = require('./hub-curriculum');
+const protocol = require('./hub-protocol');
+
+const DEFAULTS = {
+    url: 'ws://localhost:8080',
+    students: 35,
+    room: 'LOADTEST',
+    questions: 10,
+    unit: null,
+    accuracy: 0.7,
+    think: [2, 10], // seconds between answers, min-max
+    syncEvery: 5, // request_sync after this many answers (0 to never sync)
+    ramp: 100, // milliseconds between student connections
+    timeout: 10 // seconds to wait for a reply before counting it as dropped
+};
+
+const SETTLE_DELAY = 500; // milliseconds for the last broadcasts to arrive
+
+/**
+ * Pick the questions the simulated class will answer
+ * @param {Object} options - { questions, unit }
+ * @returns {Array<Object>} Questions from question.js
+ */
+function pickQuestions(options) {
+    const questions = Array.from(curriculum.loadQuestions().values())
+        .filter(question => !options.unit || question.id.startsWith(`${options.unit}-`));
+    if (questions.length === 0) {
+        throw new Error(`No questions found${options.unit ? ` in unit ${options.unit}` : ''}`);
+    }
+    return questions.slice(0, options.questions);
+}
+
+/**
+ * Choose a student's answer, correct with the given probability
+ * @param {Object} question
+ * @param {number} accuracy - 0 to 1
+ * @returns {string}
+ */
+function chooseAnswer(question, accuracy) {
+    if (question.type !== 'multiple-choice' || !question.choices) {
+        return `Simulated free response to ${question.id}`;
+    }
+
+    const keys = question.choices.map(choice => choice.key);
+    if (question.answerKey && Math.random() < accuracy) {
+        return question.answerKey;
+    }
+    const wrong = keys.filter(key => key !== question.answerKey);
+    return wrong.length > 0 ? wrong[Math.floor(Math.random() * wrong.length)] : keys[0];
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {Array<number>} sorted
+ * @param {number} p - 0 to 100
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Collects latencies and failures across all simulated students
+ */
+class SimulationStats {
+    constructor() {
+        this.latencies = new Map(); // reply type -> [milliseconds]
+        this.dropped = new Map(); // request type -> count of replies that never came
+        this.errors = new Map(); // error code -> count
+        this.disconnects = 0;
+        this.failedConnections = 0;
+        this.answersAccepted = 0;
+        this.present = 0; // identified students still connected
+        this.broadcastsExpected = 0;
+        this.broadcastsReceived = 0;
+    }
+
+    record(type, milliseconds) {
+        if (!this.latencies.has(type)) this.latencies.set(type, []);
+        this.latencies.get(type).push(milliseconds);
+    }
+
+    count(map, key, amount = 1) {
+        map.set(key, (map.get(key) || 0) + amount);
+    }
+
+    /**
+     * Summarize everything collected
+     * @returns {Object}
+     */
+    report() {
+        const latency = {};
+        this.latencies.forEach((values, type) => {
+            const sorted = values.slice().sort((a, b) => a - b);
+            latency[type] = {
+                count: sorted.length,
+                p50: percentile(sorted, 50),
+                p90: percentile(sorted, 90),
+                p99: percentile(sorted, 99),
+                max: sorted[sorted.length - 1]
+            };
+        });
+
+        return {
+            latency,
+            dropped: Object.fromEntries(this.dropped),
+            totalDropped: Array.from(this.dropped.values()).reduce((sum, value) => sum + value, 0),
+            errors: Object.fromEntries(this.errors),
+            disconnects: this.disconnects,
+            failedConnections: this.failedConnections,
+            answersAccepted: this.answersAccepted,
+            broadcasts: {
+                expected: this.broadcastsExpected,
+                received: this.broadcastsReceived
+            }
+        };
+    }
+}
+
+/**
+ * One simulated student: identifies, answers every question with think time, and syncs now and then
+ */
+class SimulatedStudent {
+    constructor(index, options, questions, stats) {
+        this.userId = `sim-${String(index + 1).padStart(3, '0')}`;
+        this.displayName = `Simulated Student ${index + 1}`;
+        this.options = options;
+        this.questions = questions;
+        this.stats = stats;
+        this.pending = new Map(); // request key -> { type, sentAt, timer }
+        this.cursor = null; // { epoch, seq } from the hub's last sync, for delta request_sync
+        this.ws = null;
+        this.opened = false;
+        this.answeredAll = false;
+        this.finished = false;
+    }
+
+    /**
+     * Connect and identify
+     * @returns {Promise<boolean>} Whether the student made it into the room
+     */
+    join() {
+        this.finishedAnswering = new Promise(resolve => {
+            this.done = resolve;
+        });
+
+        return new Promise(resolve => {
+            this.joined = resolve;
+            this.ws = new WebSocket(this.options.url);
+
+            this.ws.on('open', () => {
+                this.opened = true;
+                this.send('identify', 'identified', {
+                    protocolVersion: protocol.PROTOCOL_VERSION,
+                    userId: this.userId,
+                    displayName: this.displayName,
+                    roomCode: this.options.room
+                });
+            });
+
+            this.ws.on('message', data => this.handleMessage(JSON.parse(data.toString())));
+
+            this.ws.on('close', () => {
+                if (!this.finished) {
+                    if (this.opened) {
+                        this.stats.disconnects++;
+                        this.stats.present--;
+                    }
+                    this.finish();
+                }
+            });
+
+            this.ws.on('error', error => {
+                if (!this.opened) {
+                    this.stats.failedConnections++;
+                    console.error(`[SIMULATOR] ${this.userId} could not connect: ${error.message}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Work through the questions
+     * @returns {Promise<void>} Resolves once every answer is confirmed or dropped, or the connection fails
+     */
+    answerAll() {
+        if (!this.finished) this.answerNext(0);
+        return this.finishedAnswering;
+    }
+
+    /**
+     * Send a request and start timing its reply
+     * @param {string} type - Message type
+     * @param {string} key - Reply to wait for (type, or type:questionId)
+     * @param {Object} fields
+     */
+    send(type, key, fields = {}) {
+        if (this.ws.readyState !== WebSocket.OPEN) return;
+
+        const timer = setTimeout(() => {
+            this.pending.delete(key);
+            this.stats.count(this.stats.dropped, type);
+            // A student the hub never let in has nothing left to do
+            if (type === 'identify') {
+                this.finish();
+            } else {
+                this.settle();
+            }
+        }, this.options.timeout * 1000);
+
+        this.pending.set(key, { type, sentAt: Date.now(), timer });
+        this.ws.send(JSON.stringify({ type, ...fields }));
+    }
+
+    /**
+     * Stop timing a request that got its reply
+     * @param {string} key
+     * @param {string} replyType - Latency bucket, e.g. response_confirmed
+     */
+    resolve(key, replyType) {
+        const request = this.pending.get(key);
+        if (!request) return;
+        clearTimeout(request.timer);
+        this.pending.delete(key);
+        this.stats.record(replyType, Date.now() - request.sentAt);
+        this.settle();
+    }
+
+    /**
+     * Finish once the last question is answered and nothing is outstanding
+     */
+    settle() {
+        if (this.answeredAll && this.pending.size === 0) this.finish();
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'identified':
+                this.resolve('identified', 'identified');
+                if (!message.success) {
+                    this.stats.count(this.stats.errors, message.code || 'IDENTIFY_FAILED');
+                    this.finish();
+                    return;
+                }
+                this.stats.present++;
+                this.joined(true);
+                break;
+
+            case 'response_confirmed':
+                this.resolve(`response_confirmed:${message.questionId}`, 'response_confirmed');
+                if (message.success) {
+                    this.advanceCursor(message.seq);
+                    this.stats.answersAccepted++;
+                    this.stats.broadcastsExpected += this.stats.present - 1;
+                } else {
+                    this.stats.count(this.stats.errors, message.code || 'SUBMIT_FAILED');
+                }
+                break;
+
+            case 'sync_response':
+                this.resolve('sync_response', 'sync_response');
+                this.cursor = { epoch: message.epoch, seq: message.seq };
+                break;
+
+            case 'bulk_update':
+                this.cursor = { epoch: message.epoch, seq: message.seq };
+                break;
+
+            case 'peer_response':
+                this.advanceCursor(message.seq);
+                // Classmates' answers carry the time they were sent, so this is end-to-end broadcast delay
+                this.stats.broadcastsReceived++;
+                if (message.timestamp) {
+                    this.stats.record('peer_response', Date.now() - message.timestamp);
+                }
+                break;
+
+            case 'error':
+                this.stats.count(this.stats.errors, message.code || 'ERROR');
+                break;
+        }
+    }
+
+    /**
+     * Move the sync cursor past a numbered response, unless one was missed in between
+     * @param {number} seq
+     */
+    advanceCursor(seq) {
+        if (this.cursor && seq === this.cursor.seq + 1) this.cursor.seq = seq;
+    }
+
+    /**
+     * Think, answer a question, and move on to the next one
+     * @param {number} index - Question index
+     */
+    answerNext(index) {
+        if (index >= this.questions.length) {
+            this.answeredAll = true;
+            this.settle();
+            return;
+        }
+
+        const [min, max] = this.options.think;
+        const thinkTime = (min + Math.random() * (max - min)) * 1000;
+
+        setTimeout(() => {
+            if (this.finished) return;
+
+            const question = this.questions[index];
+            this.send('submit_response', `response_confirmed:${question.id}`, {
+                questionId: question.id,
+                answer: chooseAnswer(question, this.options.accuracy),
+                timestamp: Date.now()
+            });
+
+            if (this.options.syncEvery > 0 && (index + 1) % this.options.syncEvery === 0) {
+                this.send('request_sync', 'sync_response', this.cursor ? { epoch: this.cursor.epoch, since: this.cursor.seq } : {});
+            }
+
+            this.answerNext(index + 1);
+        }, thinkTime);
+    }
+
+    finish() {
+        if (this.finished) return;
+        this.finished = true;
+
+        // Whatever is still outstanding will never be answered
+        this.pending.forEach(request => {
+            clearTimeout(request.timer);
+            this.stats.count(this.stats.dropped, request.type);
+        });
+        this.pending.clear();
+        this.joined(false);
+        this.done();
+    }
+
+    /**
+     * Leave the room
+     */
+    close() {
+        if (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING) {
+            this.ws.close();
+        }
+    }
+}
+
+/**
+ * Run a simulated class against a hub
+ * @param {Object} [overrides] - Options (see DEFAULTS)
+ * @returns {Promise<Object>} Report with latency percentiles, dropped messages, and errors
+ */
+async function runSimulation(overrides = {}) {
+    const options = { ...DEFAULTS, ...overrides };
+    const questions = pickQuestions(options);
+    const stats = new SimulationStats();
+    const startedAt = Date.now();
+
+    const students = [];
+    const joining = [];
+    for (let index = 0; index < options.students; index++) {
+        const student = new SimulatedStudent(index, options, questions, stats);
+        students.push(student);
+        joining.push(student.join());
+        await new Promise(resolve => setTimeout(resolve, options.ramp));
+    }
+
+    // The class starts together, so every answer should reach every classmate as a peer_response
+    await Promise.all(joining);
+    await Promise.all(students.map(student => student.answerAll()));
+
+    // Everyone stays in the room until the whole class is done, so no broadcast goes unheard
+    await new Promise(resolve => setTimeout(resolve, SETTLE_DELAY));
+    students.forEach(student => student.close());
+
+    return {
+        url: options.url,
+        room: options.room,
+        students: options.students,
+        questions: questions.length,
+        durationSeconds: Math.round((Date.now() - startedAt) / 1000),
+        ...stats.report()
+    };
+}
+
+/**
+ * Print a report for people
+ * @param {Object} report
+ */
+function printReport(report) {
+    console.log('===========================================');
+    console.log(`Simulated ${report.students} students × ${report.questions} questions against ${report.url} (room ${report.room}) in ${report.durationSeconds}s`);
+    console.log('===========================================');
+    console.log('Latency (ms)           count    p50    p90    p99    max');
+    Object.entries(report.latency).forEach(([type, stats]) => {
+        const cells = [stats.p50, stats.p90, stats.p99, stats.max].map(value => String(value).padStart(6)).join(' ');
+        console.log(`${type.padEnd(20)} ${String(stats.count).padStart(7)} ${cells}`);
+    });
+    console.log('-------------------------------------------');
+    console.log(`Answers accepted:   ${report.answersAccepted}`);
+    console.log(`Broadcasts:         ${report.broadcasts.received} of ${report.broadcasts.expected} expected`);
+    console.log(`Dropped (no reply): ${report.totalDropped}${report.totalDropped > 0 ? ` ${JSON.stringify(report.dropped)}` : ''}`);
+    console.log(`Errors:             ${Object.keys(report.errors).length > 0 ? JSON.stringify(report.errors) : 'none'}`);
+    console.log(`Disconnects:        ${report.disconnects} (${report.failedConnections} failed to connect)`);
+}
+
+// Read the value following a command-line flag, e.g. --students 35
+function getArgValue(flag) {
+    const index = process.argv.indexOf(flag);
+    return index !== -1 && index + 1 < process.argv.length ? process.argv[index + 1] : null;
+}
+
+// Build options from the command line
+function parseArgs() {
+    const number = (flag, fallback) => {
+        const value = getArgValue(flag);
+        if (value === null) return fallback;
+        if (!Number.isFinite(Number(value))) throw new Error(`${flag} must be a number`);
+        return Number(value);
+    };
+
+    const think = (getArgValue('--think') || DEFAULTS.think.join('-')).split('-').map(Number);
+    if (think.length !== 2 || think.some(value => !Number.isFinite(value)) || think[0] > think[1]) {
+        throw new Error('--think must be a range of seconds, e.g. 5-20');
+    }
+
+    const accuracy = number('--accuracy', DEFAULTS.accuracy);
+    if (accuracy < 0 || accuracy > 1) throw new Error('--accuracy must be between 0 and 1');
+
+    return {
+        url: getArgValue('--url') || DEFAULTS.url,
+        students: number('--students', DEFAULTS.students),
+        room: (getArgValue('--room') || DEFAULTS.room).toUpperCase(),
+        questions: number('--questions', DEFAULTS.questions),
+        unit: getArgValue('--unit'),
+        accuracy,
+        think,
+        syncEvery: number('--sync-every', DEFAULTS.syncEvery),
+        ramp: number('--ramp', DEFAULTS.ramp),
+        timeout: number('--timeout', DEFAULTS.timeout)
+    };
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs();
+    } catch (error) {
+        console.error(`[SIMULATOR] ${error.message}`);
+        process.exit(1);
+    }
+
+    runSimulation(options).then(report => {
+        if (process.argv.includes('--json')) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+        }
+        // Fail when anything was lost, so the rehearsal can gate a test day
+        process.exit(report.totalDropped > 0 || report.disconnects > 0 || report.failedConnections > 0 ? 1 : 0);
+    }, error => {
+        console.error(`[SIMULATOR] ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    DEFAULTS,
+    runSimulation,
+    chooseAnswer,
+    percentile
+};
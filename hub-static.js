@@ -0,0 +1,190 @@
+/**
+ * Local Hub Static Assets
+ * Serves the quiz app and its vendored libraries so students need nothing but the LAN
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('./hub-log');
+
+const APP_ROOT = __dirname;
+const MODULES_ROOT = path.join(__dirname, 'node_modules');
+
+// App files students may load, by URL path
+const APP_FILES = {
+    '/': 'index.html',
+    '/index.html': 'index.html',
+    '/index-refactored.html': 'index-refactored.html',
+    '/question.js': 'question.js',
+    '/allUnitsData.js': 'allUnitsData.js',
+    '/styles.css': 'styles.css',
+    '/firebase-config.js': 'firebase-config.js',
+    '/hybrid-data-service.js': 'hybrid-data-service.js',
+    '/response-outbox.js': 'response-outbox.js',
+    '/response-crdt.js': 'response-crdt.js',
+    '/pigsprite.png': 'pigsprite.png'
+};
+
+// Vendored libraries; versions are pinned in package.json and are part of the URL,
+// so these can be cached for good
+const VENDOR_FILES = {
+    '/vendor/chart.js@3.9.1/chart.min.js': 'chart.js/dist/chart.min.js',
+    '/vendor/chartjs-plugin-datalabels@2.2.0/chartjs-plugin-datalabels.min.js':
+        'chartjs-plugin-datalabels/dist/chartjs-plugin-datalabels.min.js'
+};
+
+// MathJax loads its fonts and components relative to its own URL, so serve the whole directory
+const VENDOR_DIRECTORIES = {
+    '/vendor/mathjax@3.2.2/': 'mathjax/es5'
+};
+
+// CDN URLs in the HTML pages and their vendored replacements
+const CDN_REWRITES = {
+    'https://cdnjs.cloudflare.com/ajax/libs/Chart.js/3.9.1/chart.min.js': '/vendor/chart.js@3.9.1/chart.min.js',
+    'https://cdn.jsdelivr.net/npm/chartjs-plugin-datalabels@2': '/vendor/chartjs-plugin-datalabels@2.2.0/chartjs-plugin-datalabels.min.js',
+    'https://cdn.jsdelivr.net/npm/mathjax@3/es5/': '/vendor/mathjax@3.2.2/'
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+// App files can change between lessons: revalidate every time (cheap 304s on the LAN)
+const APP_CACHE_CONTROL = 'no-cache';
+const VENDOR_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Rewritten HTML keyed by file path, reused until the file changes
+const htmlCache = new Map();
+
+/**
+ * Resolve a URL path to a file on disk
+ * @param {string} pathname - Decoded URL path
+ * @returns {Object|null} { filePath, cacheControl } or null if the path is not served
+ */
+function resolveAsset(pathname) {
+    if (APP_FILES[pathname]) {
+        return { filePath: path.join(APP_ROOT, APP_FILES[pathname]), cacheControl: APP_CACHE_CONTROL };
+    }
+
+    if (VENDOR_FILES[pathname]) {
+        return { filePath: path.join(MODULES_ROOT, VENDOR_FILES[pathname]), cacheControl: VENDOR_CACHE_CONTROL };
+    }
+
+    for (const [prefix, directory] of Object.entries(VENDOR_DIRECTORIES)) {
+        if (!pathname.startsWith(prefix)) continue;
+
+        const root = path.join(MODULES_ROOT, directory);
+        const filePath = path.resolve(root, '.' + pathname.slice(prefix.length - 1));
+        if (!filePath.startsWith(root + path.sep)) return null;
+
+        return { filePath, cacheControl: VENDOR_CACHE_CONTROL };
+    }
+
+    return null;
+}
+
+/**
+ * Load an HTML page with CDN script URLs pointed at the vendored copies
+ * @param {string} filePath - HTML file
+ * @param {fs.Stats} stats - Current file stats
+ * @returns {Object} { body, etag }
+ */
+function loadRewrittenHtml(filePath, stats) {
+    const cached = htmlCache.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        return cached;
+    }
+
+    let html = fs.readFileSync(filePath, 'utf8');
+    Object.entries(CDN_REWRITES).forEach(([cdnUrl, localUrl]) => {
+        html = html.split(cdnUrl).join(localUrl);
+    });
+
+    const body = Buffer.from(html);
+    const entry = {
+        body,
+        etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+        mtimeMs: stats.mtimeMs,
+        size: stats.size
+    };
+    htmlCache.set(filePath, entry);
+    return entry;
+}
+
+/**
+ * Serve a static asset if the path is one the hub publishes
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - URL path
+ * @returns {boolean} True if the request was handled
+ */
+function serveStatic(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return false;
+    }
+
+    const asset = resolveAsset(decoded);
+    if (!asset) return false;
+
+    let stats;
+    try {
+        stats = fs.statSync(asset.filePath);
+        if (!stats.isFile()) return false;
+    } catch (error) {
+        if (asset.cacheControl === VENDOR_CACHE_CONTROL) {
+            log.error('STATIC', `Missing vendored file ${asset.filePath} - run npm install`);
+        }
+        return false;
+    }
+
+    const contentType = CONTENT_TYPES[path.extname(asset.filePath).toLowerCase()] || 'application/octet-stream';
+    const isHtml = contentType.startsWith('text/html');
+    const html = isHtml ? loadRewrittenHtml(asset.filePath, stats) : null;
+    const etag = html ? html.etag : `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+
+    const headers = {
+        'Content-Type': contentType,
+        'Cache-Control': asset.cacheControl,
+        'ETag': etag,
+        'Last-Modified': stats.mtime.toUTCString()
+    };
+
+    if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, headers);
+        res.end();
+        return true;
+    }
+
+    headers['Content-Length'] = html ? html.body.length : stats.size;
+    res.writeHead(200, headers);
+
+    if (req.method === 'HEAD') {
+        res.end();
+    } else if (html) {
+        res.end(html.body);
+    } else {
+        fs.createReadStream(asset.filePath)
+            .on('error', (error) => {
+                log.error('STATIC', `Failed to stream ${asset.filePath}`, { error });
+                res.destroy();
+            })
+            .pipe(res);
+    }
+
+    return true;
+}
+
+module.exports = { serveStatic };
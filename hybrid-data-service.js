@@ -5,11 +5,39 @@
 
 const HybridDataService = {
     // Connection state
-    connectionMode: 'offline', // 'cloud', 'local', or 'offline'
+    connectionMode: 'offline', // 'cloud', 'local', 'hybrid' (cloud and Local Hub together), or 'offline'
     wsConnection: null,
+    hubAddress: null, // Local Hub this client connected to and keeps reconnecting to, e.g. 192.168.1.100:8080
+    roomCode: null,
+    hubUserId: null, // userId the Local Hub bound this connection to (the roster ID on roster hubs)
+    hubIdentified: false, // the current connection has been identified and can carry submissions
+    hubStudent: null, // { uid, displayName } the Local Hub signed us in as; kept across reconnects to the same hub
+    hubSyncCursor: null, // { hub, epoch, seq }: how far this client has caught up with its Local Hub room
+    protocolVersion: 2, // Local Hub message protocol (see hub-protocol.js)
     wsReconnectAttempts: 0,
-    maxReconnectAttempts: 5,
-    reconnectDelay: 2000,
+    kickedFromHub: false,
+    reconnectDelay: 1000, // first retry after a dropped hub connection; doubles each attempt
+    maxReconnectDelay: 30000,
+    reconnectTimer: null,
+    reconnectAt: null, // when the next hub reconnect attempt runs; set until we're connected again
+    reconnectCountdownTimer: null,
+
+    // What this student is doing, reported to the Local Hub for the teacher's dashboard
+    activity: { questionId: null, state: 'viewing', sentAt: 0 },
+    activityRefreshInterval: 10000, // resend unchanged activity at most this often
+    typingPause: 5000, // stop showing "typing" after this long without input
+    typingTimer: null,
+
+    // Answers on their way to the Local Hub; each stays queued across reconnects until the hub confirms it
+    hubSendQueue: new Map(), // hubQueueKey(questionId, timestamp) -> { responseData, sent, waiters }
+    hubSendBatch: 20, // stay inside the hub's submit_response burst allowance
+    hubSendDelay: 5000,
+    hubFlushTimer: null,
+    hubConfirmTimeout: 10000, // saveResponse stops waiting for response_confirmed after this; the answer stays queued
+    hubMaxMessageBytes: 60 * 1024, // the hub closes connections that send over 64 KB (hub-rate-limit.js); leave room to spare
+
+    // Retrying the outbox (response-outbox.js) to Firebase
+    outboxRetryTimer: null,
 
     // Unsubscribe functions for Firestore listeners
     firestoreListeners: new Map(),
@@ -31,6 +59,7 @@ const HybridDataService = {
 
         // Check online status
         this.setupOnlineStatusMonitoring();
+        this.setupActivityTracking();
 
         // Set initial connection mode
         if (navigator.onLine && firebaseInitialized) {
@@ -47,14 +76,69 @@ const HybridDataService = {
         return true;
     },
 
+    /**
+     * Report typing while the student writes in an answer or reason field, and idle while the tab is hidden
+     */
+    setupActivityTracking() {
+        document.addEventListener('input', (event) => {
+            if (!event.target.matches('textarea, input[type="text"]')) return;
+
+            this.reportActivity(this.activity.questionId, 'typing');
+            clearTimeout(this.typingTimer);
+            this.typingTimer = setTimeout(() => {
+                this.reportActivity(this.activity.questionId, 'viewing');
+            }, this.typingPause);
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            this.reportActivity(this.activity.questionId, document.hidden ? 'idle' : 'viewing');
+        });
+    },
+
+    /**
+     * Tell the Local Hub which question this student is on and whether they're viewing, typing, or idle.
+     * The quiz calls this when it shows a question; unchanged activity is only resent now and then.
+     */
+    reportActivity(questionId, state = 'viewing') {
+        const changed = questionId !== this.activity.questionId || state !== this.activity.state;
+        this.activity.questionId = questionId || null;
+        this.activity.state = state;
+
+        if (changed || Date.now() - this.activity.sentAt >= this.activityRefreshInterval) {
+            this.sendActivity();
+        }
+    },
+
+    /**
+     * Send the current activity to the Local Hub, if connected
+     */
+    sendActivity() {
+        if (!this.usesHub() || !this.wsConnection || this.wsConnection.readyState !== WebSocket.OPEN) {
+            return;
+        }
+
+        this.activity.sentAt = Date.now();
+        this.wsConnection.send(JSON.stringify({
+            type: 'activity',
+            questionId: this.activity.questionId,
+            state: this.activity.state
+        }));
+    },
+
     /**
      * Setup online/offline status monitoring
      */
     setupOnlineStatusMonitoring() {
         window.addEventListener('online', () => {
             console.log('Network connection restored');
+
+            // Back on the network: try the dropped Local Hub connection again too
+            if (this.reconnectAt) {
+                this.reconnectToLocalHubNow();
+            }
+
             if (FirebaseConfig.isSignedIn()) {
-                this.setConnectionMode('cloud');
+                this.setConnectionMode(this.isHubOpen() ? 'hybrid' : 'cloud');
                 this.syncLocalToCloud();
             }
         });
@@ -64,6 +148,13 @@ const HybridDataService = {
             this.setConnectionMode('offline');
             this.showOfflineNotification();
         });
+
+        // Background tabs have their timers throttled; don't make a returning student wait out the backoff
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.reconnectAt) {
+                this.reconnectToLocalHubNow();
+            }
+        });
     },
 
     /**
@@ -79,6 +170,27 @@ const HybridDataService = {
         }));
     },
 
+    /**
+     * Whether answers go to Firestore in the current mode
+     */
+    usesCloud() {
+        return this.connectionMode === 'cloud' || this.connectionMode === 'hybrid';
+    },
+
+    /**
+     * Whether answers go to the Local Hub in the current mode
+     */
+    usesHub() {
+        return this.connectionMode === 'local' || this.connectionMode === 'hybrid';
+    },
+
+    /**
+     * Whether the Local Hub socket is open
+     */
+    isHubOpen() {
+        return !!this.wsConnection && this.wsConnection.readyState === WebSocket.OPEN;
+    },
+
     /**
      * Update connection status in UI
      */
@@ -86,6 +198,15 @@ const HybridDataService = {
         const statusElement = document.getElementById('connectionStatus');
         if (!statusElement) return;
 
+        if (this.reconnectAt) {
+            const seconds = Math.ceil((this.reconnectAt - Date.now()) / 1000);
+            const countdown = seconds > 0 ? `in ${seconds}s` : 'now...';
+            statusElement.innerHTML = `<span class="status-reconnecting">🔄 Reconnecting to Local Hub ${countdown}</span>` +
+                (seconds > 0 ? ' <button onclick="HybridDataService.reconnectToLocalHubNow()">Retry now</button>' : '');
+            statusElement.className = 'connection-status reconnecting';
+            return;
+        }
+
         switch (this.connectionMode) {
             case 'cloud':
                 statusElement.innerHTML = '<span class="status-cloud">☁️ Online</span>';
@@ -95,6 +216,10 @@ const HybridDataService = {
                 statusElement.innerHTML = '<span class="status-local">🏠 Local Network</span>';
                 statusElement.className = 'connection-status local';
                 break;
+            case 'hybrid':
+                statusElement.innerHTML = '<span class="status-hybrid">☁️🏠 Online + Local Hub</span>';
+                statusElement.className = 'connection-status hybrid';
+                break;
             case 'offline':
                 statusElement.innerHTML = '<span class="status-offline">📵 Offline</span>';
                 statusElement.className = 'connection-status offline';
@@ -104,59 +229,77 @@ const HybridDataService = {
 
     /**
      * Connect to Local Hub WebSocket server
+     * @param {string} serverIP - Hub address, e.g. 192.168.1.100:8080
+     * @param {string} roomCode - Optional class room join code
+     * @param {string} pin - Roster PIN or one-time join code, if the teacher loaded a roster
+     * @param {string} rosterName - The student's name (or ID) on the roster, which a PIN needs
      */
-    async connectToLocalHub(serverIP) {
+    async connectToLocalHub(serverIP, roomCode = localStorage.getItem('lastLocalHubRoom') || '', pin = '', rosterName = '') {
         if (this.wsConnection && this.wsConnection.readyState === WebSocket.OPEN) {
             console.log('Already connected to Local Hub');
+            // Signing in again on the open connection, e.g. after the hub asked for a PIN
+            if (pin) {
+                this.identifyWithLocalHub(serverIP, pin, rosterName);
+            }
             return true;
         }
 
+        // Switching hubs: stop trying to get back to the old one
+        if (serverIP !== this.hubAddress) {
+            this.cancelHubReconnect();
+            this.hubAddress = null;
+            this.hubStudent = null;
+        }
+
         try {
             const wsUrl = `ws://${serverIP}`;
             console.log(`Connecting to Local Hub at ${wsUrl}`);
 
-            this.wsConnection = new WebSocket(wsUrl);
+            const socket = new WebSocket(wsUrl);
+            this.wsConnection = socket;
+            this.roomCode = roomCode || null;
+            this.hubUserId = null;
+            this.hubIdentified = false;
 
             return new Promise((resolve, reject) => {
                 const timeout = setTimeout(() => {
                     reject(new Error('Connection timeout'));
+                    socket.close();
                 }, 5000);
 
-                this.wsConnection.onopen = () => {
+                socket.onopen = () => {
                     clearTimeout(timeout);
-                    console.log('Connected to Local Hub');
-                    this.setConnectionMode('local');
+                    const reconnected = this.wsReconnectAttempts > 0;
+                    console.log(reconnected ? 'Reconnected to Local Hub' : 'Connected to Local Hub');
+                    this.hubAddress = serverIP;
                     this.wsReconnectAttempts = 0;
-
-                    // Identify user
-                    const user = FirebaseConfig.getCurrentUser();
-                    if (user) {
-                        this.wsConnection.send(JSON.stringify({
-                            type: 'identify',
-                            userId: user.uid,
-                            displayName: user.displayName || 'Anonymous'
-                        }));
+                    this.cancelHubReconnect();
+                    // With the cloud reachable too, write to both
+                    this.setConnectionMode(navigator.onLine && FirebaseConfig.isSignedIn() ? 'hybrid' : 'local');
+                    if (reconnected) {
+                        this.showNotification('✅ Reconnected to Local Hub', 3000);
                     }
 
-                    // Request data sync
-                    this.wsConnection.send(JSON.stringify({
-                        type: 'request_sync'
-                    }));
+                    // Identify user; the hub answers with the room's data, or what changed since our sync cursor
+                    this.identifyWithLocalHub(serverIP, pin, rosterName);
 
                     resolve(true);
                 };
 
-                this.wsConnection.onerror = (error) => {
+                socket.onerror = (error) => {
                     clearTimeout(timeout);
                     console.error('WebSocket error:', error);
                     reject(error);
                 };
 
-                this.wsConnection.onmessage = (event) => {
+                socket.onmessage = (event) => {
                     this.handleWebSocketMessage(event.data);
                 };
 
-                this.wsConnection.onclose = () => {
+                socket.onclose = () => {
+                    clearTimeout(timeout);
+                    // A socket we already replaced (e.g. switching hubs) has nothing left to clean up
+                    if (socket !== this.wsConnection) return;
                     console.log('Disconnected from Local Hub');
                     this.handleWebSocketDisconnect();
                 };
@@ -167,6 +310,33 @@ const HybridDataService = {
         }
     },
 
+    /**
+     * Identify with the Local Hub, which binds this connection to the resulting userId.
+     * A saved session token lets us back in without the PIN after a reconnect.
+     * A PIN goes with the roster name the student typed, since the Google account name may not match the roster.
+     */
+    identifyWithLocalHub(serverIP, pin = '', rosterName = '') {
+        const user = FirebaseConfig.getCurrentUser();
+        const sessionToken = this.getHubSessionToken(serverIP);
+        if (!user && !pin && !sessionToken) return;
+
+        // After a reconnect the hub only sends what changed since our cursor
+        const cursor = this.hubSyncCursor && this.hubSyncCursor.hub === serverIP ? this.hubSyncCursor : null;
+
+        this.wsConnection.send(JSON.stringify({
+            type: 'identify',
+            protocolVersion: this.protocolVersion,
+            userId: user ? user.uid : undefined,
+            displayName: user ? user.displayName || 'Anonymous' : undefined,
+            roomCode: this.roomCode,
+            pin: pin || undefined,
+            rosterName: pin && rosterName ? rosterName : undefined,
+            sessionToken: sessionToken || undefined,
+            syncEpoch: cursor ? cursor.epoch : undefined,
+            syncSince: cursor ? cursor.seq : undefined
+        }));
+    },
+
     /**
      * Handle WebSocket messages
      */
@@ -179,12 +349,16 @@ const HybridDataService = {
                     console.log('Welcome message received:', message);
                     break;
 
+                case 'identified':
+                    this.handleIdentified(message);
+                    break;
+
                 case 'peer_response':
                     this.handlePeerResponse(message);
                     break;
 
                 case 'bulk_update':
-                    this.handleBulkUpdate(message.responses);
+                    this.handleBulkUpdate(message);
                     break;
 
                 case 'sync_response':
@@ -197,7 +371,24 @@ const HybridDataService = {
                     break;
 
                 case 'response_confirmed':
-                    console.log('Response confirmed for question:', message.questionId);
+                    this.handleResponseConfirmed(message);
+                    break;
+
+                case 'room_state':
+                case 'question_pushed':
+                case 'submissions_locked':
+                case 'answer_revealed':
+                case 'question_cleared':
+                case 'session_ended':
+                    this.handleTeacherControl(message);
+                    break;
+
+                case 'kicked':
+                    this.handleKicked(message);
+                    break;
+
+                case 'error':
+                    this.handleHubError(message);
                     break;
 
                 default:
@@ -208,6 +399,141 @@ const HybridDataService = {
         }
     },
 
+    /**
+     * Handle identify acknowledgment from the Local Hub
+     */
+    handleIdentified(message) {
+        const serverIP = this.hubAddress;
+
+        if (!message.success) {
+            console.error('Local Hub rejected identify:', message.message);
+            this.showNotification(`❌ ${message.message}`, 5000);
+
+            // The roster hub wants a PIN or join code: forget any stale token and ask for one
+            if (message.code === 'AUTH_FAILED') {
+                this.clearHubSessionToken();
+                if (!document.querySelector('.local-hub-dialog')) {
+                    this.showLocalHubDialog();
+                }
+            }
+            return;
+        }
+
+        this.roomCode = message.roomCode;
+        this.hubUserId = message.userId || null;
+        if (message.userId) {
+            this.hubStudent = { uid: message.userId, displayName: message.displayName || message.userId };
+        }
+        if (message.sessionToken && serverIP) {
+            this.saveHubSessionToken(serverIP, message.sessionToken);
+        }
+        console.log(`Joined Local Hub room ${message.roomCode} as ${message.displayName || message.userId}`);
+
+        // Let the teacher see where we are again after a reconnect
+        if (this.activity.questionId) {
+            this.sendActivity();
+        }
+
+        // Answers queued while the socket was down, then any saved while offline or in an earlier visit
+        this.hubIdentified = true;
+        this.flushHubSendQueue();
+        this.replayOutboxToHub();
+    },
+
+    /**
+     * Handle the hub's answer to a submission: only a confirmed answer counts as delivered
+     */
+    handleResponseConfirmed(message) {
+        // The reply names the attempt it is about, so a newer answer to the question stays queued
+        const key = this.hubQueueKey(message.questionId, message.timestamp);
+        const queued = this.hubSendQueue.get(key);
+        if (queued && queued.sent) {
+            this.hubSendQueue.delete(key);
+            queued.waiters.forEach(waiter => waiter(message.success));
+        }
+
+        if (message.success) {
+            console.log('Response confirmed for question:', message.questionId);
+            this.advanceHubSyncCursor(message.seq);
+            this.updateOutbox(uid => ResponseOutbox.markSentToHub(uid, message.questionId, message.timestamp));
+        } else {
+            console.warn(`Response rejected for question ${message.questionId}:`, message.message);
+            this.showNotification(`${message.code === 'SUBMISSIONS_LOCKED' ? '🔒' : '⚠️'} ${message.message}`, 3000);
+            this.updateOutbox(uid => ResponseOutbox.recordFailure(uid, message.questionId, message.timestamp,
+                message.code || message.message));
+        }
+
+        window.dispatchEvent(new CustomEvent('responseDelivered', {
+            detail: { questionId: message.questionId, delivered: message.success }
+        }));
+    },
+
+    /**
+     * Get the saved Local Hub session token for this hub and signed-in user
+     */
+    getHubSessionToken(serverIP) {
+        try {
+            const saved = JSON.parse(localStorage.getItem('localHubSession') || 'null');
+            const uid = FirebaseConfig.getCurrentUser()?.uid || null;
+            return saved && saved.hub === serverIP && saved.uid === uid ? saved.token : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Remember the Local Hub session token for reconnects
+     */
+    saveHubSessionToken(serverIP, token) {
+        localStorage.setItem('localHubSession', JSON.stringify({
+            hub: serverIP,
+            uid: FirebaseConfig.getCurrentUser()?.uid || null,
+            token
+        }));
+    },
+
+    /**
+     * Forget the Local Hub session token
+     */
+    clearHubSessionToken() {
+        localStorage.removeItem('localHubSession');
+    },
+
+    /**
+     * Handle a structured error from the Local Hub
+     */
+    handleHubError(message) {
+        console.error(`Local Hub error ${message.code || ''} (${message.requestType || 'message'}):`, message.message);
+
+        // Only surface errors the student can act on; the rest are bugs worth logging
+        if (message.code === 'USER_MISMATCH' || message.code === 'NOT_IDENTIFIED') {
+            this.showNotification('⚠️ Lost your Local Hub identity - please reconnect', 5000);
+        }
+
+        // The hub refused an answer as malformed (e.g. too large); resending it would only fail again
+        if (message.code === 'INVALID_MESSAGE' && message.requestType === 'submit_response' && message.questionId) {
+            this.handleResponseConfirmed({
+                questionId: message.questionId,
+                timestamp: message.timestamp,
+                success: false,
+                code: message.code,
+                message: `Your answer could not be saved on the Local Hub: ${message.message}`
+            });
+        }
+
+        // The hub dropped submissions over its rate limit without confirming them; send them again later
+        if (message.code === 'RATE_LIMITED' && message.requestType === 'submit_response') {
+            this.hubSendQueue.forEach(queued => {
+                queued.sent = false;
+            });
+            clearTimeout(this.hubFlushTimer);
+            this.hubFlushTimer = setTimeout(() => {
+                this.hubFlushTimer = null;
+                this.flushHubSendQueue();
+            }, this.hubSendDelay);
+        }
+    },
+
     /**
      * Handle peer response from WebSocket
      */
@@ -218,12 +544,23 @@ const HybridDataService = {
             this.localCache.peerData.set(questionId, new Map());
         }
 
+        // Merge rather than replace, so an attempt we heard about from another source isn't lost
+        const existing = this.localCache.peerData.get(questionId).get(response.userId);
+        const incoming = ResponseCRDT.fromResponse(response);
+        const merged = ResponseCRDT.toResponse(existing
+            ? ResponseCRDT.merge(ResponseCRDT.fromResponse({ questionId, userId: response.userId, ...existing }), incoming)
+            : incoming);
+
         this.localCache.peerData.get(questionId).set(response.userId, {
-            answer: response.answer,
-            reason: response.reason,
+            answer: merged.answer,
+            reason: merged.reason,
             displayName: response.displayName,
-            timestamp: response.timestamp
+            timestamp: merged.timestamp,
+            attempts: merged.attempts,
+            history: merged.history,
+            votes: merged.votes
         });
+        this.advanceHubSyncCursor(response.seq);
 
         // Dispatch event for UI update
         window.dispatchEvent(new CustomEvent('peerDataUpdated', {
@@ -232,21 +569,86 @@ const HybridDataService = {
     },
 
     /**
-     * Handle bulk update from WebSocket
+     * Handle live-lesson control messages sent by the teacher through the Local Hub
      */
-    handleBulkUpdate(responses) {
-        responses.forEach(response => {
+    handleTeacherControl(message) {
+        if (message.type === 'question_cleared' || message.type === 'session_ended') {
+            this.advanceHubSyncCursor(message.seq);
+        }
+
+        if (message.type === 'question_cleared') {
+            this.localCache.peerData.delete(message.questionId);
+            window.dispatchEvent(new CustomEvent('peerDataUpdated', {
+                detail: { questionId: message.questionId, response: null }
+            }));
+        }
+
+        if (message.type === 'session_ended' && message.cleared) {
+            this.localCache.peerData.clear();
+            window.dispatchEvent(new CustomEvent('peerDataUpdated', {
+                detail: { questionId: null, response: null }
+            }));
+            this.showNotification('👩‍🏫 Your teacher ended the class session', 3000);
+        }
+
+        if (message.type === 'question_pushed') {
+            this.showNotification(`👩‍🏫 Your teacher moved the class to question ${message.questionId}`, 3000);
+        }
+
+        // Dispatch event so the quiz UI can navigate, lock inputs, or show the answer key
+        window.dispatchEvent(new CustomEvent('teacherControl', {
+            detail: message
+        }));
+    },
+
+    /**
+     * Handle being removed from the Local Hub by the teacher
+     */
+    handleKicked(message) {
+        // Don't reconnect on our own after the teacher removed us
+        this.kickedFromHub = true;
+        this.showNotification(`⚠️ ${message.message}`, 5000);
+    },
+
+    /**
+     * Handle bulk update from WebSocket: the whole room, or what changed since our sync cursor
+     */
+    handleBulkUpdate(message) {
+        // A full sync after an earlier one means our copy is stale (cleared questions, a restarted hub)
+        if (message.full && this.hubSyncCursor) {
+            this.localCache.peerData.clear();
+            window.dispatchEvent(new CustomEvent('peerDataUpdated', {
+                detail: { questionId: null, response: null }
+            }));
+        }
+
+        (message.responses || []).forEach(response => {
             this.handlePeerResponse(response);
         });
+
+        if (message.epoch) {
+            this.hubSyncCursor = {
+                hub: this.hubAddress,
+                epoch: message.epoch,
+                seq: message.seq
+            };
+        }
+    },
+
+    /**
+     * Move the sync cursor past a response or removal the hub numbered, unless one was missed in between
+     */
+    advanceHubSyncCursor(seq) {
+        if (this.hubSyncCursor && seq === this.hubSyncCursor.seq + 1) {
+            this.hubSyncCursor.seq = seq;
+        }
     },
 
     /**
      * Handle sync response from WebSocket
      */
     handleSyncResponse(data) {
-        if (data.responses) {
-            this.handleBulkUpdate(data.responses);
-        }
+        this.handleBulkUpdate(data);
 
         if (data.activeUsers) {
             console.log('Active users:', data.activeUsers);
@@ -258,43 +660,117 @@ const HybridDataService = {
      */
     handleWebSocketDisconnect() {
         this.wsConnection = null;
+        this.hubIdentified = false;
 
-        if (this.connectionMode === 'local') {
-            // Try to reconnect if we were in local mode
-            if (this.wsReconnectAttempts < this.maxReconnectAttempts) {
-                this.wsReconnectAttempts++;
-                console.log(`Attempting to reconnect (${this.wsReconnectAttempts}/${this.maxReconnectAttempts})...`);
+        // Anything sent but not confirmed may have been lost with the connection
+        clearTimeout(this.hubFlushTimer);
+        this.hubFlushTimer = null;
+        this.hubSendQueue.forEach(queued => {
+            queued.sent = false;
+        });
 
-                setTimeout(() => {
-                    const lastServerIP = localStorage.getItem('lastLocalHubIP');
-                    if (lastServerIP) {
-                        this.connectToLocalHub(lastServerIP);
-                    }
-                }, this.reconnectDelay * this.wsReconnectAttempts);
-            } else {
-                this.setConnectionMode('offline');
-                this.showReconnectFailedNotification();
+        if (this.kickedFromHub) {
+            this.kickedFromHub = false;
+            this.hubAddress = null;
+            this.cancelHubReconnect();
+            this.setConnectionMode(this.connectionMode === 'hybrid' ? 'cloud' : 'offline');
+            return;
+        }
+
+        // Firestore is still there while we get the hub back
+        if (this.connectionMode === 'hybrid') {
+            this.setConnectionMode('cloud');
+        }
+
+        // Keep trying for as long as it takes to get back to a hub we were connected to;
+        // a first connection that never opened is left to whoever asked for it
+        if (this.hubAddress) {
+            if (this.wsReconnectAttempts === 0) {
+                this.showNotification('⚠️ Lost the Local Hub connection - reconnecting...', 3000);
             }
+            this.scheduleHubReconnect();
+        }
+    },
+
+    /**
+     * Schedule the next attempt to reconnect to the Local Hub, with exponential backoff
+     */
+    scheduleHubReconnect() {
+        this.wsReconnectAttempts++;
+        const delay = this.getReconnectDelay(this.wsReconnectAttempts);
+        console.log(`Reconnecting to Local Hub in ${Math.round(delay / 1000)}s (attempt ${this.wsReconnectAttempts})`);
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectAt = Date.now() + delay;
+        this.reconnectTimer = setTimeout(() => this.reconnectToLocalHubNow(), delay);
+
+        if (!this.reconnectCountdownTimer) {
+            this.reconnectCountdownTimer = setInterval(() => this.updateConnectionStatus(), 1000);
         }
+        this.updateConnectionStatus();
+    },
+
+    /**
+     * Backoff before a reconnect attempt: doubling up to maxReconnectDelay, half of it random,
+     * so a classroom of devices doesn't reconnect in lockstep when the hub restarts
+     * @param {number} attempt - 1 for the first retry
+     * @returns {number} Milliseconds
+     */
+    getReconnectDelay(attempt) {
+        const ceiling = Math.min(this.reconnectDelay * Math.pow(2, attempt - 1), this.maxReconnectDelay);
+        return ceiling / 2 + Math.random() * ceiling / 2;
+    },
+
+    /**
+     * Try the Local Hub again without waiting out the backoff
+     */
+    reconnectToLocalHubNow() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        // An attempt is already under way
+        if (!this.hubAddress || this.wsConnection) return;
+
+        this.reconnectAt = Date.now();
+        this.updateConnectionStatus();
+        // A failed attempt closes the socket, which schedules the next one; one that couldn't start needs scheduling here
+        this.connectToLocalHub(this.hubAddress, this.roomCode || '').then(started => {
+            if (started === false) this.scheduleHubReconnect();
+        }, () => {});
+    },
+
+    /**
+     * Stop trying to reconnect to the Local Hub
+     */
+    cancelHubReconnect() {
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.reconnectCountdownTimer);
+        this.reconnectTimer = null;
+        this.reconnectCountdownTimer = null;
+        this.reconnectAt = null;
+        this.updateConnectionStatus();
     },
 
     /**
      * Save quiz response (works in all modes)
      */
     async saveResponse(questionId, answer, reason = '') {
-        const user = FirebaseConfig.getCurrentUser();
+        const user = this.currentStudent();
         if (!user) {
             console.error('No user signed in');
             return false;
         }
 
+        // Add this attempt to the student's record for the question, which keeps every earlier attempt
+        const previous = this.localCache.responses.get(questionId)?.get(user.uid)
+            || await this.updateOutbox(uid => ResponseOutbox.get(ResponseOutbox.keyFor(uid, questionId)));
+        const record = ResponseCRDT.addAttempt(
+            previous ? ResponseCRDT.fromResponse(previous) : ResponseCRDT.createRecord(questionId, user.uid),
+            { answer, reason, timestamp: Date.now() }
+        );
         const responseData = {
-            questionId,
-            answer,
-            reason,
-            userId: user.uid,
-            displayName: user.displayName,
-            timestamp: Date.now()
+            ...ResponseCRDT.toResponse(record),
+            displayName: user.displayName
         };
 
         // Save to local cache first
@@ -303,30 +779,41 @@ const HybridDataService = {
         }
         this.localCache.responses.get(questionId).set(user.uid, responseData);
 
+        // And to the outbox, which survives closing the tab until the answer reaches the cloud
+        await this.updateOutbox(() => ResponseOutbox.record(responseData));
+
         let saved = false;
 
         // Try to save based on connection mode
         switch (this.connectionMode) {
             case 'cloud':
                 // Save to Firestore
-                saved = await FirebaseConfig.saveQuizResponse(questionId, answer, reason);
+                saved = await this.saveResponseToCloud(responseData);
                 break;
 
             case 'local':
-                // Send to WebSocket server
-                if (this.wsConnection && this.wsConnection.readyState === WebSocket.OPEN) {
-                    this.wsConnection.send(JSON.stringify({
-                        type: 'submit_response',
-                        ...responseData
-                    }));
-                    saved = true;
-                }
+                // Queue for the WebSocket server; saved once the hub confirms it
+                saved = await this.sendResponseToHub(responseData);
+                break;
+
+            case 'hybrid':
+                // Both at once: classmates see it over the LAN right away and Firestore keeps it.
+                // Whichever confirms first counts; Firestore can stall for a long time when the internet is flaky
+                saved = await new Promise(resolve => {
+                    let remaining = 2;
+                    const settle = success => {
+                        remaining--;
+                        if (success || remaining === 0) resolve(success);
+                    };
+                    this.saveResponseToCloud(responseData).then(settle);
+                    this.sendResponseToHub(responseData).then(settle);
+                });
                 break;
 
             case 'offline':
-                // Already saved to local cache
+                // Already saved to local cache and the outbox
                 saved = true;
-                console.log('Saved to local cache (offline mode)');
+                console.log('Saved to outbox (offline mode)');
                 break;
         }
 
@@ -338,42 +825,311 @@ const HybridDataService = {
         return saved;
     },
 
+    /**
+     * Who answers are saved as: the Firebase user, or else whoever the Local Hub signed us in as,
+     * since students who joined with a roster PIN or join code have no Firebase account
+     * @returns {{uid: string, displayName: string}|null}
+     */
+    currentStudent() {
+        const user = FirebaseConfig.getCurrentUser();
+        if (user) return { uid: user.uid, displayName: user.displayName };
+        return this.hubStudent;
+    },
+
+    /**
+     * Save an answer to Firestore and record the outcome in the outbox
+     * @returns {Promise<boolean>}
+     */
+    async saveResponseToCloud(responseData) {
+        const { questionId } = responseData;
+        const saved = await FirebaseConfig.saveQuizResponse(questionId, responseData.answer, responseData.reason,
+            this.cloudFields(responseData));
+        if (saved) {
+            await this.updateOutbox(uid => ResponseOutbox.markSynced(uid, questionId, responseData.timestamp));
+        } else {
+            await this.updateOutbox(uid => ResponseOutbox.recordFailure(uid, questionId, responseData.timestamp, 'Firestore write failed'));
+            this.scheduleOutboxRetry();
+        }
+        return saved;
+    },
+
+    /**
+     * The parts of a response's record Firestore keeps next to the answer, so the cloud copy
+     * merges with every device's like the hub's does
+     * @returns {Object} { clientTimestamp, attempts, history, votes }
+     */
+    cloudFields(responseData) {
+        const fields = { clientTimestamp: responseData.timestamp };
+        // Outbox entries saved before records were kept have only the answer
+        if (responseData.history) {
+            fields.attempts = responseData.attempts;
+            fields.history = responseData.history;
+            fields.votes = responseData.votes || [];
+        }
+        return fields;
+    },
+
+    /**
+     * Queue a saved answer for the Local Hub and wait for the hub to confirm it
+     * @returns {Promise<boolean>} Whether it was confirmed within hubConfirmTimeout.
+     * If not, it stays queued and is sent after the next reconnect.
+     */
+    sendResponseToHub(responseData) {
+        const queued = this.queueResponseForHub(responseData);
+
+        return new Promise(resolve => {
+            const waiter = delivered => {
+                clearTimeout(timer);
+                resolve(delivered);
+            };
+            const timer = setTimeout(() => {
+                // A newer answer may have taken over this one's waiters
+                this.hubSendQueue.forEach(current => {
+                    current.waiters = current.waiters.filter(other => other !== waiter);
+                });
+                resolve(false);
+            }, this.hubConfirmTimeout);
+
+            queued.waiters.push(waiter);
+            this.flushHubSendQueue();
+        });
+    },
+
+    /**
+     * Add an answer to the Local Hub send queue, replacing an older unsent answer to the same question
+     * @returns {Object} The queue entry
+     */
+    queueResponseForHub(responseData) {
+        const { questionId, timestamp } = responseData;
+        const key = this.hubQueueKey(questionId, timestamp);
+        const previous = this.hubSendQueue.get(key);
+        let waiters = previous ? previous.waiters : [];
+
+        // Older answers that haven't gone out yet are dropped, since this record carries their attempts too;
+        // ones already sent stay queued until the hub replies about them
+        this.hubSendQueue.forEach((other, otherKey) => {
+            if (otherKey !== key && !other.sent && other.responseData.questionId === questionId &&
+                other.responseData.timestamp < timestamp) {
+                waiters = waiters.concat(other.waiters);
+                this.hubSendQueue.delete(otherKey);
+            }
+        });
+
+        const queued = { responseData, sent: false, waiters };
+        this.hubSendQueue.set(key, queued);
+        return queued;
+    },
+
+    /**
+     * Send queue key: one entry per attempt, so replies about different attempts at a question stay apart
+     */
+    hubQueueKey(questionId, timestamp) {
+        return `${questionId}|${timestamp}`;
+    },
+
+    /**
+     * Send queued answers that haven't gone out on this connection, a batch at a time
+     */
+    flushHubSendQueue() {
+        // A pending flush timer means a batch just went out
+        if (this.hubFlushTimer) return;
+        if (!this.hubIdentified || !this.wsConnection || this.wsConnection.readyState !== WebSocket.OPEN) {
+            return;
+        }
+
+        const unsent = Array.from(this.hubSendQueue.values()).filter(queued => !queued.sent);
+        const batch = unsent.slice(0, this.hubSendBatch);
+        batch.forEach(queued => {
+            const { responseData } = queued;
+            // A long history is trimmed to its latest attempts; the hub merges it with what it already has
+            const message = ResponseCRDT.trimForSending({
+                type: 'submit_response',
+                questionId: responseData.questionId,
+                answer: responseData.answer,
+                reason: responseData.reason,
+                displayName: responseData.displayName,
+                timestamp: responseData.timestamp,
+                history: responseData.history,
+                votes: responseData.votes,
+                userId: this.hubUserId || responseData.userId
+            }, this.hubMaxMessageBytes);
+            const text = JSON.stringify(message);
+            queued.sent = true;
+
+            // The hub would drop the connection over it, and resending can't help
+            if (new TextEncoder().encode(text).length > this.hubMaxMessageBytes) {
+                this.handleResponseConfirmed({
+                    questionId: responseData.questionId,
+                    timestamp: responseData.timestamp,
+                    success: false,
+                    code: 'TOO_LARGE',
+                    message: 'This answer is too long to send to the Local Hub'
+                });
+                return;
+            }
+            this.wsConnection.send(text);
+        });
+
+        if (unsent.length > batch.length) {
+            this.hubFlushTimer = setTimeout(() => {
+                this.hubFlushTimer = null;
+                this.flushHubSendQueue();
+            }, this.hubSendDelay);
+        }
+    },
+
+    /**
+     * Queue outbox answers the hub hasn't confirmed, e.g. ones saved offline or before the tab was closed
+     */
+    async replayOutboxToHub() {
+        const uid = this.currentStudent()?.uid;
+        if (!uid || !this.usesHub()) return;
+
+        let entries;
+        try {
+            entries = await ResponseOutbox.listDue(uid, [ResponseOutbox.STATUS.PENDING]);
+        } catch (error) {
+            console.error('Could not read the response outbox:', error);
+            return;
+        }
+
+        const missing = entries.filter(entry => !this.hubSendQueue.has(this.hubQueueKey(entry.questionId, entry.timestamp)));
+        if (missing.length === 0) return;
+
+        missing.forEach(entry => this.queueResponseForHub(entry));
+        console.log(`Replaying ${missing.length} saved response(s) to the Local Hub`);
+        this.flushHubSendQueue();
+    },
+
+    /**
+     * Run an outbox operation for the signed-in student, logging rather than
+     * failing the save if IndexedDB misbehaves
+     * @param {Function} operation - Receives the student's uid
+     */
+    async updateOutbox(operation) {
+        const uid = this.currentStudent()?.uid;
+        if (!uid) return null;
+
+        try {
+            return await operation(uid);
+        } catch (error) {
+            console.error('Response outbox update failed:', error);
+            return null;
+        }
+    },
+
     /**
      * Get peer responses for a question
      */
     async getPeerResponses(questionId) {
         switch (this.connectionMode) {
             case 'cloud':
-                // Get from Firestore
-                return await FirebaseConfig.getClassResponses(questionId);
+                // Get from Firestore, with each student's answer worked out from their attempts
+                return this.mergePeerResponses(await FirebaseConfig.getClassResponses(questionId), []);
+
+            case 'hybrid':
+                // Firestore plus whatever the hub has sent that hasn't reached it yet
+                return this.mergePeerResponses(
+                    await FirebaseConfig.getClassResponses(questionId),
+                    this.getCachedPeerResponses(questionId)
+                );
 
             case 'local':
             case 'offline':
                 // Get from local cache
-                const responses = [];
-                const questionData = this.localCache.peerData.get(questionId);
-                if (questionData) {
-                    questionData.forEach((data, userId) => {
-                        responses.push({
-                            userId,
-                            ...data
-                        });
-                    });
-                }
-                return responses;
+                return this.getCachedPeerResponses(questionId);
 
             default:
                 return [];
         }
     },
 
+    /**
+     * Peer responses received from the Local Hub for a question
+     */
+    getCachedPeerResponses(questionId) {
+        const responses = [];
+        const questionData = this.localCache.peerData.get(questionId);
+        if (questionData) {
+            questionData.forEach((data, userId) => {
+                responses.push({
+                    questionId,
+                    userId,
+                    ...data
+                });
+            });
+        }
+        return responses;
+    },
+
+    /**
+     * Combine Firestore and Local Hub responses into one per student, keeping every attempt from both
+     * @returns {Array<Object>}
+     */
+    mergePeerResponses(cloudResponses, hubResponses) {
+        const byUser = new Map(); // userId -> { response, record }
+        [...cloudResponses.map(response => this.withAnswerTime(response)), ...hubResponses].forEach(response => {
+            const existing = byUser.get(response.userId);
+            const record = ResponseCRDT.fromResponse(response);
+            byUser.set(response.userId, existing
+                ? { response: { ...existing.response, ...response }, record: ResponseCRDT.merge(existing.record, record) }
+                : { response, record });
+        });
+        return Array.from(byUser.values()).map(({ response, record }) => ({
+            ...response,
+            ...ResponseCRDT.toResponse(record)
+        }));
+    },
+
+    /**
+     * A Firestore response timed by when the student answered rather than when Firestore stored it,
+     * so it matches the Local Hub's copy of the same attempt. Documents written before clientTimestamp
+     * keep their server time; one whose server time is still pending has no usable time at all.
+     * @returns {Object}
+     */
+    withAnswerTime(response) {
+        if (response.clientTimestamp) {
+            return { ...response, timestamp: response.clientTimestamp };
+        }
+        return response.timestamp ? response : { ...response, answer: null };
+    },
+
     /**
      * Subscribe to real-time updates for a question
      */
     subscribeToQuestion(questionId, callback) {
+        // Subscribing means the quiz is showing this question
+        this.reportActivity(questionId, 'viewing');
+
         if (this.connectionMode === 'cloud') {
             // Subscribe to Firestore real-time updates
-            const unsubscribe = FirebaseConfig.subscribeToClassResponses(questionId, callback);
+            const unsubscribe = FirebaseConfig.subscribeToClassResponses(questionId, responses => {
+                callback(this.mergePeerResponses(responses, []));
+            });
+            this.firestoreListeners.set(questionId, unsubscribe);
+            return unsubscribe;
+        } else if (this.connectionMode === 'hybrid') {
+            // Firestore snapshots and hub broadcasts both update the same merged list
+            let cloudResponses = [];
+            const update = () => {
+                callback(this.mergePeerResponses(cloudResponses, this.getCachedPeerResponses(questionId)));
+            };
+
+            const unsubscribeCloud = FirebaseConfig.subscribeToClassResponses(questionId, responses => {
+                cloudResponses = responses;
+                update();
+            });
+            const handler = (event) => {
+                if (event.detail.questionId === questionId) {
+                    update();
+                }
+            };
+            window.addEventListener('peerDataUpdated', handler);
+
+            const unsubscribe = () => {
+                if (unsubscribeCloud) unsubscribeCloud();
+                window.removeEventListener('peerDataUpdated', handler);
+            };
             this.firestoreListeners.set(questionId, unsubscribe);
             return unsubscribe;
         } else {
@@ -406,43 +1162,76 @@ const HybridDataService = {
     },
 
     /**
-     * Sync local cache to cloud when connection is restored
+     * Sync the outbox to cloud when connection is restored
      */
     async syncLocalToCloud() {
-        if (this.connectionMode !== 'cloud' || !FirebaseConfig.isSignedIn()) {
+        if (!this.usesCloud() || !FirebaseConfig.isSignedIn()) {
             return;
         }
 
-        console.log('Syncing local cache to cloud...');
+        const uid = FirebaseConfig.getCurrentUser()?.uid;
+        let entries;
+        try {
+            entries = await ResponseOutbox.listDue(uid, [
+                ResponseOutbox.STATUS.PENDING,
+                ResponseOutbox.STATUS.SENT_TO_HUB
+            ]);
+        } catch (error) {
+            console.error('Could not read the response outbox:', error);
+            return;
+        }
 
-        const operations = [];
+        if (entries.length === 0) return;
 
-        // Sync all cached responses
-        this.localCache.responses.forEach((questionResponses, questionId) => {
-            questionResponses.forEach((response, userId) => {
-                if (userId === FirebaseConfig.getCurrentUser()?.uid) {
-                    operations.push(
-                        FirebaseConfig.saveQuizResponse(
-                            response.questionId,
-                            response.answer,
-                            response.reason
-                        )
-                    );
-                }
-            });
-        });
+        console.log(`Syncing ${entries.length} saved response(s) to cloud...`);
 
-        // Execute all sync operations
-        const results = await Promise.allSettled(operations);
+        // Each entry records its own result, so one failure doesn't hold up the rest
+        const results = await Promise.all(entries.map(async entry => {
+            const saved = await FirebaseConfig.saveQuizResponse(entry.questionId, entry.answer, entry.reason,
+                this.cloudFields(entry));
+            await this.updateOutbox(() => saved
+                ? ResponseOutbox.markSynced(uid, entry.questionId, entry.timestamp)
+                : ResponseOutbox.recordFailure(uid, entry.questionId, entry.timestamp, 'Firestore write failed'));
+            return saved;
+        }));
 
-        const successful = results.filter(r => r.status === 'fulfilled').length;
-        const failed = results.filter(r => r.status === 'rejected').length;
+        const successful = results.filter(Boolean).length;
+        const failed = results.length - successful;
 
         console.log(`Sync complete: ${successful} successful, ${failed} failed`);
 
         if (successful > 0) {
             this.showSyncSuccessNotification(successful);
         }
+        if (failed > 0) {
+            this.scheduleOutboxRetry();
+        }
+    },
+
+    /**
+     * Try the cloud sync again when the earliest failed entry is due
+     */
+    async scheduleOutboxRetry() {
+        const uid = this.currentStudent()?.uid;
+        if (!uid) return;
+
+        let entries;
+        try {
+            entries = await ResponseOutbox.listForUser(uid);
+        } catch (error) {
+            console.error('Could not read the response outbox:', error);
+            return;
+        }
+
+        const waiting = entries.filter(entry => entry.status !== ResponseOutbox.STATUS.SYNCED);
+        if (waiting.length === 0) return;
+
+        const nextAttemptAt = Math.min(...waiting.map(entry => entry.nextAttemptAt));
+        clearTimeout(this.outboxRetryTimer);
+        this.outboxRetryTimer = setTimeout(() => {
+            this.outboxRetryTimer = null;
+            this.syncLocalToCloud();
+        }, Math.max(nextAttemptAt - Date.now(), 0));
     },
 
     /**
@@ -452,9 +1241,14 @@ const HybridDataService = {
         if (detail.isSignedIn) {
             console.log('User signed in:', detail.user.displayName);
 
-            // If online, switch to cloud mode
+            // The hub connection may have opened before sign-in finished, with nobody to identify as
+            if (this.isHubOpen() && !this.hubIdentified) {
+                this.identifyWithLocalHub(this.hubAddress);
+            }
+
+            // If online, switch to cloud mode, alongside the Local Hub if we're connected to one
             if (navigator.onLine) {
-                this.setConnectionMode('cloud');
+                this.setConnectionMode(this.isHubOpen() ? 'hybrid' : 'cloud');
                 this.syncLocalToCloud();
             }
         } else {
@@ -478,7 +1272,7 @@ const HybridDataService = {
                 <button onclick="HybridDataService.showLocalHubDialog()">Connect to Local Hub</button>
             </div>
         `;
-        this.showNotification(message, 5000);
+        this.showNotification(message, 5000, { html: true });
     },
 
     /**
@@ -488,9 +1282,14 @@ const HybridDataService = {
         const dialog = `
             <div class="local-hub-dialog">
                 <h3>Connect to Local Hub</h3>
-                <p>Enter the teacher's Local Hub IP address:</p>
-                <input type="text" id="localHubIP" placeholder="e.g., 192.168.1.100:8080"
-                       value="${localStorage.getItem('lastLocalHubIP') || ''}">
+                <p>Enter the teacher's Local Hub IP address (scan the QR code on the board to see it):</p>
+                <input type="text" id="localHubIP" placeholder="e.g., 192.168.1.100:8080">
+                <p>Class join code (leave blank if your teacher didn't give one):</p>
+                <input type="text" id="localHubRoom" placeholder="e.g., PERIOD3">
+                <p>Your PIN or sign-in code (only if your teacher gave you one):</p>
+                <input type="password" id="localHubPin" autocomplete="off" placeholder="e.g., 4821 or K7QF3M">
+                <p>Your name as it appears on the class roster (needed with a PIN):</p>
+                <input type="text" id="localHubName" autocomplete="name" placeholder="e.g., Ada Lovelace">
                 <div class="dialog-buttons">
                     <button onclick="HybridDataService.connectToLocalHubFromDialog()">Connect</button>
                     <button onclick="HybridDataService.closeDialog()">Cancel</button>
@@ -501,27 +1300,71 @@ const HybridDataService = {
         const overlay = document.createElement('div');
         overlay.className = 'dialog-overlay';
         overlay.innerHTML = dialog;
+
+        // Saved values may come from a join link; set them as values, never as markup
+        overlay.querySelector('#localHubIP').value = localStorage.getItem('lastLocalHubIP') || '';
+        overlay.querySelector('#localHubRoom').value = localStorage.getItem('lastLocalHubRoom') || '';
+        overlay.querySelector('#localHubName').value = localStorage.getItem('lastLocalHubName') || '';
         document.body.appendChild(overlay);
     },
 
+    /**
+     * Whether text looks like a hub address: a host name or IPv4 address, optionally with a port
+     * @param {string} address - e.g. 192.168.1.100:8080
+     * @returns {boolean}
+     */
+    isHubAddress(address) {
+        return typeof address === 'string' && /^[A-Za-z0-9](?:[A-Za-z0-9.-]{0,252})(?::\d{1,5})?$/.test(address);
+    },
+
+    /**
+     * Whether text is a valid class join code (the hub's room code rules), or empty
+     * @param {string} roomCode
+     * @returns {boolean}
+     */
+    isJoinCode(roomCode) {
+        return typeof roomCode === 'string' && /^[A-Z0-9_-]{0,32}$/.test(roomCode);
+    },
+
     /**
      * Connect to Local Hub from dialog
      */
     async connectToLocalHubFromDialog() {
         const input = document.getElementById('localHubIP');
         const serverIP = input.value.trim();
+        const roomInput = document.getElementById('localHubRoom');
+        const roomCode = roomInput ? roomInput.value.trim().toUpperCase() : '';
+        const pinInput = document.getElementById('localHubPin');
+        const pin = pinInput ? pinInput.value.trim() : '';
+        const nameInput = document.getElementById('localHubName');
+        const rosterName = nameInput ? nameInput.value.trim() : '';
 
         if (!serverIP) {
             alert('Please enter a server IP address');
             return;
         }
+        if (!this.isHubAddress(serverIP)) {
+            alert('Please enter an address like 192.168.1.100:8080');
+            return;
+        }
+        if (!this.isJoinCode(roomCode)) {
+            alert('Join codes use letters, numbers, - and _ only');
+            return;
+        }
 
-        // Save IP for next time
+        // Save IP, join code, and roster name for next time
         localStorage.setItem('lastLocalHubIP', serverIP);
+        localStorage.setItem('lastLocalHubRoom', roomCode);
+        localStorage.setItem('lastLocalHubName', rosterName);
+
+        // A newly typed PIN replaces whatever session this browser had
+        if (pin) {
+            this.clearHubSessionToken();
+        }
 
         // Try to connect
         try {
-            const connected = await this.connectToLocalHub(serverIP);
+            const connected = await this.connectToLocalHub(serverIP, roomCode, pin, rosterName);
             if (connected) {
                 this.closeDialog();
                 this.showNotification('✅ Connected to Local Hub', 3000);
@@ -545,12 +1388,18 @@ const HybridDataService = {
 
     /**
      * Show notification
+     * @param {string} message - Shown as text; it often carries text from the hub
+     * @param {Object} options - { html: true } for the app's own markup only
      */
-    showNotification(message, duration = 3000) {
+    showNotification(message, duration = 3000, options = {}) {
         const container = document.getElementById('messageArea') || document.body;
         const notification = document.createElement('div');
         notification.className = 'notification-message';
-        notification.innerHTML = message;
+        if (options.html) {
+            notification.innerHTML = message;
+        } else {
+            notification.textContent = message;
+        }
         container.appendChild(notification);
 
         setTimeout(() => {
@@ -565,13 +1414,6 @@ const HybridDataService = {
         this.showNotification(`✅ ${count} response(s) synced to cloud`, 3000);
     },
 
-    /**
-     * Show reconnect failed notification
-     */
-    showReconnectFailedNotification() {
-        this.showNotification('❌ Failed to reconnect to Local Hub. Working offline.', 5000);
-    },
-
     /**
      * Update active users from WebSocket
      */
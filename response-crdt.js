@@ -0,0 +1,321 @@
+/**
+ * Response CRDT
+ * Conflict-free record of one student's answers to one question, shared by the quiz apps and the Local Hub.
+ * Attempts and votes are grow-only sets keyed by ids derived from their content, so merging copies
+ * from any devices, in any order, gives the same record and never drops an attempt or a vote.
+ *
+ * Record: { questionId, userId, attempts, votes, legacyAttempts }
+ *   attempts: [{ id, answer, reason, timestamp }], oldest first
+ *   votes: [{ id, voter, type, timestamp }], oldest first; a voter's latest vote counts and type null retracts it
+ *   legacyAttempts: earlier attempts known only by count, from data saved before attempts were recorded (merged by max)
+ */
+
+const ResponseCRDT = {
+    // Most of a response's history and votes (as JSON characters) the Local Hub accepts in one message
+    MAX_HISTORY_LENGTH: 30000,
+    MAX_VOTES_LENGTH: 10000,
+
+    /**
+     * Milliseconds since the epoch from a number, ISO string, Date, or Firestore Timestamp
+     * @returns {number} 0 when unknown (e.g. a Firestore server timestamp that hasn't resolved yet)
+     */
+    toMillis(timestamp) {
+        if (timestamp && typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+        if (typeof timestamp === 'number') return Number.isFinite(timestamp) ? timestamp : 0;
+        if (typeof timestamp === 'string' || timestamp instanceof Date) return new Date(timestamp).getTime() || 0;
+        return 0;
+    },
+
+    /**
+     * Short stable hash (32-bit FNV-1a) for building ids
+     * @param {string} text
+     * @returns {string}
+     */
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Empty record for a student's answers to a question
+     */
+    createRecord(questionId, userId) {
+        return { questionId, userId, attempts: [], votes: [], legacyAttempts: 0 };
+    },
+
+    /**
+     * Normalize an attempt; the same answer at the same moment gets the same id on every device
+     * @param {Object} attempt - { answer, reason, timestamp }
+     */
+    toAttempt(attempt) {
+        const answer = attempt.answer === undefined ? null : attempt.answer;
+        const reason = attempt.reason || '';
+        const timestamp = this.toMillis(attempt.timestamp);
+        return {
+            id: `${timestamp}-${this.hash(JSON.stringify([answer, reason]))}`,
+            answer,
+            reason,
+            timestamp
+        };
+    },
+
+    /**
+     * Normalize a vote
+     * @param {Object} vote - { voter, type, timestamp }; type null retracts the voter's vote
+     */
+    toVote(vote) {
+        const type = vote.type || null;
+        const timestamp = this.toMillis(vote.timestamp);
+        return {
+            id: `${vote.voter}-${timestamp}-${type}`,
+            voter: vote.voter,
+            type,
+            timestamp
+        };
+    },
+
+    /**
+     * Order events by timestamp, then id, so ties break the same way everywhere
+     */
+    compareEvents(a, b) {
+        if (a.timestamp !== b.timestamp) return a.timestamp - b.timestamp;
+        return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+    },
+
+    /**
+     * Union of two event sets by id
+     * @returns {Array<Object>} Oldest first
+     */
+    unionEvents(a = [], b = []) {
+        const byId = new Map();
+        [...a, ...b].forEach(event => {
+            const existing = byId.get(event.id);
+            // Ids are content-derived, so a clash is the same event; keep one deterministically anyway
+            if (!existing || JSON.stringify(event) > JSON.stringify(existing)) {
+                byId.set(event.id, event);
+            }
+        });
+        return Array.from(byId.values()).sort((x, y) => this.compareEvents(x, y));
+    },
+
+    /**
+     * Merge two records of the same student and question; commutative, associative, and idempotent
+     * @returns {Object} New record
+     */
+    merge(a, b) {
+        return {
+            questionId: a.questionId || b.questionId,
+            userId: a.userId || b.userId,
+            attempts: this.unionEvents(a.attempts, b.attempts),
+            votes: this.unionEvents(a.votes, b.votes),
+            legacyAttempts: Math.max(a.legacyAttempts || 0, b.legacyAttempts || 0)
+        };
+    },
+
+    /**
+     * Record a new attempt
+     * @returns {Object} New record
+     */
+    addAttempt(record, attempt) {
+        return this.merge(record, { attempts: [this.toAttempt(attempt)] });
+    },
+
+    /**
+     * Record a vote, or its retraction with type null
+     * @returns {Object} New record
+     */
+    addVote(record, vote) {
+        return this.merge(record, { votes: [this.toVote(vote)] });
+    },
+
+    /**
+     * The attempt that counts as the student's answer
+     * @returns {Object|null}
+     */
+    latestAttempt(record) {
+        return record.attempts.length > 0 ? record.attempts[record.attempts.length - 1] : null;
+    },
+
+    /**
+     * How many times the student has answered
+     * @returns {number}
+     */
+    attemptCount(record) {
+        return record.attempts.length + (record.legacyAttempts || 0);
+    },
+
+    /**
+     * Each voter's current vote
+     * @param {Array<Object>} votes - Vote events
+     * @returns {Object} voter -> type, leaving out retracted votes
+     */
+    currentVotes(votes) {
+        const latest = new Map();
+        votes.forEach(vote => {
+            const existing = latest.get(vote.voter);
+            if (!existing || this.compareEvents(vote, existing) > 0) {
+                latest.set(vote.voter, vote);
+            }
+        });
+
+        const current = {};
+        latest.forEach((vote, voter) => {
+            if (vote.type) current[voter] = vote.type;
+        });
+        return current;
+    },
+
+    /**
+     * Attempts a stored count claims beyond those the record lists
+     * @param {*} count - attempts field of a response or StorageModule user
+     */
+    countLegacyAttempts(count, record) {
+        return Number.isInteger(count) ? Math.max(count - record.attempts.length, 0) : 0;
+    },
+
+    /**
+     * Record from a flat response as stored by the hub or Firestore, with history when it carries one
+     * @param {Object} response - { questionId, userId, answer, reason, timestamp, attempts, history, votes }
+     */
+    fromResponse(response) {
+        const record = this.createRecord(response.questionId, response.userId);
+        if (Array.isArray(response.history) && response.history.length > 0) {
+            record.attempts = this.unionEvents([], response.history.map(attempt => this.toAttempt(attempt)));
+        } else if (response.answer !== undefined && response.answer !== null) {
+            record.attempts = [this.toAttempt(response)];
+        }
+        if (Array.isArray(response.votes)) {
+            record.votes = this.unionEvents([], response.votes.map(vote => this.toVote(vote)));
+        }
+        record.legacyAttempts = this.countLegacyAttempts(response.attempts, record);
+        return record;
+    },
+
+    /**
+     * Flatten a record into a response, whose answer is the latest attempt's
+     * @returns {Object} { questionId, userId, answer, reason, timestamp, attempts, history, votes }
+     */
+    toResponse(record) {
+        const latest = this.latestAttempt(record) || { answer: null, reason: '', timestamp: 0 };
+        return {
+            questionId: record.questionId,
+            userId: record.userId,
+            answer: latest.answer,
+            reason: latest.reason,
+            timestamp: latest.timestamp,
+            attempts: this.attemptCount(record),
+            history: record.attempts,
+            votes: record.votes
+        };
+    },
+
+    /**
+     * Copy of a response (or a message carrying one) small enough to send in one message.
+     * The oldest attempts and votes are left out until history and votes fit the hub's limits and
+     * the whole thing serializes within maxBytes; the latest attempt is always kept. Receivers merge
+     * what arrives with what they already hold, and the attempts count still includes what was left out.
+     * @param {Object} response - { history, votes, ... }
+     * @param {number} maxBytes - UTF-8 size to stay within
+     * @returns {Object} The response itself when it already fits
+     */
+    trimForSending(response, maxBytes) {
+        const encoder = new TextEncoder();
+        const byteLength = value => encoder.encode(JSON.stringify(value)).length;
+        if (byteLength(response) <= maxBytes &&
+            JSON.stringify(response.history || []).length <= this.MAX_HISTORY_LENGTH &&
+            JSON.stringify(response.votes || []).length <= this.MAX_VOTES_LENGTH) {
+            return response;
+        }
+
+        const history = [...(response.history || [])];
+        const votes = [...(response.votes || [])];
+        while (history.length > 1 && JSON.stringify(history).length > this.MAX_HISTORY_LENGTH) history.shift();
+        while (votes.length > 0 && JSON.stringify(votes).length > this.MAX_VOTES_LENGTH) votes.shift();
+
+        const trimmed = { ...response, history, votes };
+        while (byteLength(trimmed) > maxBytes && (history.length > 1 || votes.length > 0)) {
+            // Drop whichever is older: the oldest earlier attempt or the oldest vote
+            if (votes.length > 0 && (history.length <= 1 || this.compareEvents(votes[0], history[0]) < 0)) {
+                votes.shift();
+            } else {
+                history.shift();
+            }
+        }
+        return trimmed;
+    },
+
+    /**
+     * Record from StorageModule user data (answers, reasons, timestamps, attempts, history)
+     * @param {Object} userData - One user from class data
+     */
+    fromStudentData(userData, questionId, userId) {
+        const record = this.createRecord(questionId, userId);
+        const history = userData.history?.[questionId];
+        if (Array.isArray(history) && history.length > 0) {
+            record.attempts = this.unionEvents([], history.map(attempt => this.toAttempt(attempt)));
+        } else if (userData.answers && questionId in userData.answers) {
+            record.attempts = [this.toAttempt({
+                answer: userData.answers[questionId],
+                reason: userData.reasons?.[questionId],
+                timestamp: userData.timestamps?.[questionId]
+            })];
+        }
+        record.legacyAttempts = this.countLegacyAttempts(userData.attempts?.[questionId], record);
+        return record;
+    },
+
+    /**
+     * Write a record back into StorageModule user data
+     * @param {Object} userData - One user from class data, updated in place
+     */
+    applyToStudentData(userData, record) {
+        const latest = this.latestAttempt(record);
+        if (!latest) return userData;
+
+        const questionId = record.questionId;
+        ['answers', 'reasons', 'timestamps', 'attempts', 'history'].forEach(field => {
+            if (!userData[field]) userData[field] = {};
+        });
+        userData.answers[questionId] = latest.answer;
+        if (latest.reason) userData.reasons[questionId] = latest.reason;
+        userData.timestamps[questionId] = new Date(latest.timestamp).toISOString();
+        userData.attempts[questionId] = this.attemptCount(record);
+        userData.history[questionId] = record.attempts;
+        return userData;
+    },
+
+    /**
+     * Vote events behind a StorageModule vote entry ({ type, timestamp, history }), stored per voter
+     * @param {string} voter - Username of the voter
+     * @param {Object} entry - Entry, or one from before vote history was kept
+     * @returns {Array<Object>}
+     */
+    voteEntryEvents(voter, entry) {
+        if (!entry) return [];
+        if (Array.isArray(entry.history)) return entry.history.map(vote => this.toVote(vote));
+        return [this.toVote({ voter, type: entry.type, timestamp: entry.timestamp })];
+    },
+
+    /**
+     * Merge two StorageModule vote entries by the same voter, or add a vote ({ type, timestamp }) to one
+     * @returns {Object} { type, timestamp, history }; type is null when the vote was retracted
+     */
+    mergeVoteEntries(voter, a, b) {
+        const events = this.unionEvents(this.voteEntryEvents(voter, a), this.voteEntryEvents(voter, b));
+        const latest = events[events.length - 1];
+        return {
+            type: latest ? latest.type : null,
+            timestamp: new Date(latest ? latest.timestamp : 0).toISOString(),
+            history: events
+        };
+    }
+};
+
+// The Local Hub loads this with require(); the quiz pages load it with a script tag
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseCRDT;
+}
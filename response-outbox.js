@@ -0,0 +1,225 @@
+/**
+ * Response Outbox
+ * Durable IndexedDB record of every saved answer and how far it got (Local Hub, Firebase),
+ * so answers saved offline survive closing the tab and are retried until they reach the cloud
+ */
+
+const ResponseOutbox = {
+    dbName: 'apStatsResponseOutbox',
+    dbVersion: 1,
+    storeName: 'responses',
+
+    // Retry backoff per item: 5 seconds, doubling up to 5 minutes
+    retryBaseDelay: 5000,
+    maxRetryDelay: 300000,
+
+    STATUS: {
+        PENDING: 'pending', // saved on this device only
+        SENT_TO_HUB: 'sent_to_hub', // confirmed by the Local Hub, not yet in Firebase
+        SYNCED: 'synced' // saved to Firebase
+    },
+
+    db: null,
+    opening: null,
+    memory: new Map(), // used instead when IndexedDB is unavailable (e.g. some private windows)
+
+    /**
+     * Open the database once
+     * @returns {Promise<IDBDatabase|null>} null when IndexedDB can't be used
+     */
+    open() {
+        if (this.opening) return this.opening;
+
+        this.opening = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                console.warn('IndexedDB unavailable; saved responses are kept in memory only');
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                store.createIndex('userId', 'userId');
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                console.warn('Could not open the response outbox; saved responses are kept in memory only:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.opening;
+    },
+
+    /**
+     * Outbox key: one entry per student and question, holding the latest answer
+     */
+    keyFor(userId, questionId) {
+        return `${userId}|${questionId}`;
+    },
+
+    /**
+     * Read one entry
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        const db = await this.open();
+        if (!db) return this.memory.get(id) || null;
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(this.storeName).objectStore(this.storeName).get(id);
+            request.onsuccess = () => resolve(request.result ? this.upgrade(request.result) : null);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Write one entry, resolving once the write is committed
+     * @returns {Promise<Object>} The entry
+     */
+    async put(entry) {
+        const db = await this.open();
+        if (!db) {
+            this.memory.set(entry.id, entry);
+            return entry;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            transaction.objectStore(this.storeName).put(entry);
+            transaction.oncomplete = () => resolve(entry);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * Every entry saved by a student
+     * @returns {Promise<Array<Object>>}
+     */
+    async listForUser(userId) {
+        const db = await this.open();
+        if (!db) {
+            return Array.from(this.memory.values()).filter(entry => entry.userId === userId);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(this.storeName).objectStore(this.storeName).index('userId').getAll(userId);
+            request.onsuccess = () => resolve(request.result.map(entry => this.upgrade(entry)));
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Entries saved before the retry counter was renamed counted failed deliveries in attempts,
+     * which is the student's own attempt count in a response; move it where it belongs
+     */
+    upgrade(entry) {
+        if (entry.deliveryAttempts !== undefined) return entry;
+        const { attempts, ...response } = entry;
+        return { ...response, deliveryAttempts: attempts || 0 };
+    },
+
+    /**
+     * Entries with one of the given statuses whose retry time has come
+     * @param {string} userId
+     * @param {Array<string>} statuses
+     * @returns {Promise<Array<Object>>} Oldest answers first
+     */
+    async listDue(userId, statuses) {
+        const now = Date.now();
+        const entries = await this.listForUser(userId);
+        return entries
+            .filter(entry => statuses.includes(entry.status) && entry.nextAttemptAt <= now)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    /**
+     * Record a newly saved answer, replacing any earlier answer to the same question
+     * @param {Object} response - { questionId, answer, reason, userId, displayName, timestamp, attempts, history, votes }
+     * @returns {Promise<Object>} The outbox entry
+     */
+    record(response) {
+        return this.put({
+            ...response,
+            id: this.keyFor(response.userId, response.questionId),
+            status: this.STATUS.PENDING,
+            deliveryAttempts: 0,
+            lastError: null,
+            lastAttemptAt: null,
+            nextAttemptAt: Date.now(),
+            sentToHubAt: null,
+            syncedAt: null
+        });
+    },
+
+    /**
+     * Change an entry in place, if it still holds the attempt saved at timestamp
+     * @param {number} timestamp - The attempt the change is about; a reply about an earlier one leaves a newer answer alone
+     * @param {Function} apply - Receives the entry and returns the changes, or null to leave it alone
+     * @returns {Promise<Object|null>} The updated entry
+     */
+    async update(userId, questionId, timestamp, apply) {
+        const entry = await this.get(this.keyFor(userId, questionId));
+        const changes = entry && entry.timestamp === timestamp && apply(entry);
+        return changes ? this.put({ ...entry, ...changes }) : null;
+    },
+
+    /**
+     * The Local Hub confirmed the answer; it still needs to reach Firebase
+     */
+    markSentToHub(userId, questionId, timestamp) {
+        return this.update(userId, questionId, timestamp, entry => entry.status === this.STATUS.PENDING
+            ? { status: this.STATUS.SENT_TO_HUB, sentToHubAt: Date.now(), lastError: null }
+            : null);
+    },
+
+    /**
+     * The answer is saved in Firebase
+     */
+    markSynced(userId, questionId, timestamp) {
+        return this.update(userId, questionId, timestamp, () => ({
+            status: this.STATUS.SYNCED,
+            syncedAt: Date.now(),
+            lastError: null
+        }));
+    },
+
+    /**
+     * Note a failed delivery and when to try again; an answer already in Firebase has nothing left to retry
+     * @param {string} error - What went wrong
+     */
+    recordFailure(userId, questionId, timestamp, error) {
+        return this.update(userId, questionId, timestamp, entry => {
+            if (entry.status === this.STATUS.SYNCED) return null;
+            const deliveryAttempts = entry.deliveryAttempts + 1;
+            const delay = Math.min(this.retryBaseDelay * Math.pow(2, deliveryAttempts - 1), this.maxRetryDelay);
+            return {
+                deliveryAttempts,
+                lastError: error,
+                lastAttemptAt: Date.now(),
+                nextAttemptAt: Date.now() + delay
+            };
+        });
+    },
+
+    /**
+     * Count a student's entries by status, e.g. for a "3 answers waiting to sync" badge
+     * @returns {Promise<Object>} { pending, sent_to_hub, synced, failing }
+     */
+    async summarize(userId) {
+        const summary = { pending: 0, sent_to_hub: 0, synced: 0, failing: 0 };
+        (await this.listForUser(userId)).forEach(entry => {
+            summary[entry.status]++;
+            if (entry.status !== this.STATUS.SYNCED && entry.lastError) summary.failing++;
+        });
+        return summary;
+    }
+};
@@ -6,12 +6,60 @@
 const WebSocket = require('ws');
 const http = require('http');
 const os = require('os');
+const QRCode = require('qrcode');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { SessionJournal } = require('./hub-journal');
+const curriculum = require('./hub-curriculum');
+const classData = require('./hub-class-data');
+const ResponseCRDT = require('./response-crdt');
+const discovery = require('./hub-discovery');
+const staticAssets = require('./hub-static');
+const protocol = require('./hub-protocol');
+const { Roster, SignInLockout } = require('./hub-roster');
+const rateLimit = require('./hub-rate-limit');
+const retention = require('./hub-retention');
+const { FirebaseBridge } = require('./hub-firebase-bridge');
+const { Federation } = require('./hub-federation');
+const { AuditTrail } = require('./hub-audit');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./hub-metrics');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const log = require('./hub-log');
 
 // Configuration
 const PORT = process.env.PORT || 8080;
 const HEARTBEAT_INTERVAL = 30000; // 30 seconds
 const CLEANUP_INTERVAL = 60000; // 1 minute
-const SESSION_TIMEOUT = 3600000; // 1 hour
+const DATA_DIR = process.env.HUB_DATA_DIR || path.join(__dirname, 'hub-data');
+const LOG_DIR = path.join(DATA_DIR, 'logs');
+const LOG_LEVEL = process.env.HUB_LOG_LEVEL || 'info';
+const ARCHIVE_DIR = path.join(DATA_DIR, 'archive');
+const RETENTION = loadRetention();
+const FRESH_SESSION = process.argv.includes('--fresh');
+const EXPORT_FILE = getArgValue('--export');
+const UPLOAD_ONLY = process.argv.includes('--upload');
+const DEFAULT_ROOM = 'DEFAULT';
+const ROOM_CODE_PATTERN = /^[A-Z0-9_-]{1,32}$/;
+const KICK_CLOSE_CODE = 4001;
+const DASHBOARD_FILE = path.join(__dirname, 'hub-dashboard.html');
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024; // 10 MB
+const TEACHER_KEY_BYTES = 16; // generated keys are 32 hex characters
+const PEER_MESSAGE_TYPES = new Set(['ping', 'peer_responses']); // all a federated hub may send once identified
+const HUB_NAME = process.env.HUB_NAME || os.hostname();
+const HUB_ID = crypto.randomBytes(6).toString('hex');
+const DISCOVERY_ENABLED = process.env.HUB_DISCOVERY !== 'off';
+const ROSTER_FILE = getArgValue('--roster') || process.env.HUB_ROSTER || null;
+const SESSION_TOKEN_TTL = 12 * 3600000; // 12 hours, long enough for a school day
+const MAX_AUTH_FAILURES = 5; // failed sign-ins before the connection is dropped
+const IDLE_AFTER = (Number(process.env.HUB_IDLE_AFTER) || 120) * 1000; // students silent this long show as idle
+const PRESENCE_SWEEP_INTERVAL = 15000; // 15 seconds
+const FIREBASE_CREDENTIALS = getArgValue('--firebase-credentials') || process.env.HUB_FIREBASE_CREDENTIALS || null;
+const FEDERATION_KEY = getArgValue('--federation-key') || process.env.HUB_FEDERATION_KEY || null;
+const PEER_URLS = getArgValues('--peer')
+    .concat((process.env.HUB_PEERS || '').split(','))
+    .map(url => url.trim())
+    .filter(Boolean);
 
 // Server state
 const classroomData = new Map(); // Stores all quiz responses
@@ -19,24 +67,756 @@ const connectedClients = new Map(); // Track connected clients
 const sessionData = {
     startTime: Date.now(),
     totalConnections: 0,
-    activeUsers: new Set(),
-    responses: new Map() // questionId -> Map of userId -> response
+    identities: new Map(), // userId -> { displayName, firstSeen, lastSeen }
+    sessionTokens: new Map(), // sha256(token) -> { userId, displayName, issuedAt }
+    rooms: new Map() // room code -> { code, createdAt, activeUsers, responses }
 };
 
+// Abuse counters since startup, reported by get_stats
+const abuseStats = {
+    rateLimited: 0,
+    rateLimitedByType: {},
+    invalidJson: 0,
+    invalidMessages: 0,
+    oversized: 0,
+    disconnected: 0
+};
+
+// Prometheus metrics served at /metrics
+const metrics = new MetricsRegistry();
+const hubMetrics = {
+    messagesReceived: metrics.counter('hub_messages_received_total',
+        'WebSocket messages received, by type and outcome (accepted, rate_limited, invalid, invalid_json)', ['type', 'outcome']),
+    messagesSent: metrics.counter('hub_messages_sent_total', 'WebSocket messages sent, by type', ['type']),
+    broadcastFanout: metrics.histogram('hub_broadcast_fanout_seconds',
+        'Time from starting a room broadcast until every recipient socket has written it'),
+    broadcastRecipients: metrics.histogram('hub_broadcast_recipients', 'Clients reached by each room broadcast', [],
+        [1, 5, 10, 25, 50, 100, 200]),
+    connections: metrics.counter('hub_connections_total', 'WebSocket connections accepted'),
+    reconnects: metrics.counter('hub_reconnects_total', 'Student identifies from users already seen this session'),
+    heartbeatTerminations: metrics.counter('hub_heartbeat_terminations_total', 'Connections closed for missing heartbeats'),
+    syncs: metrics.counter('hub_syncs_total', 'Room syncs sent on identify or request_sync, by kind (full or delta)', ['kind']),
+    syncResponses: metrics.counter('hub_sync_responses_total', 'Responses carried by room syncs, by kind (full or delta)', ['kind'])
+};
+const eventLoopDelay = monitorEventLoopDelay();
+eventLoopDelay.enable();
+
+metrics.gauge('hub_connected_clients', 'Open WebSocket connections, by role', ['role'], () => {
+    const byRole = { student: 0, teacher: 0, peer: 0 };
+    connectedClients.forEach(info => {
+        byRole[info.role] = (byRole[info.role] || 0) + 1;
+    });
+    return Object.entries(byRole).map(([role, value]) => ({ labels: { role }, value }));
+});
+metrics.gauge('hub_active_users', 'Identified students across all rooms', [], () => countActiveUsers());
+metrics.gauge('hub_rooms', 'Rooms in the session', [], () => sessionData.rooms.size);
+// Question IDs come from students, so only ones in the question bank get their own series; the rest count as 'other'
+metrics.gauge('hub_responses', 'Stored responses, by room and question', ['room', 'question'], () => {
+    const series = [];
+    sessionData.rooms.forEach(room => {
+        const counts = new Map();
+        room.responses.forEach((userResponses, questionId) => {
+            const question = curriculum.getQuestion(questionId) ? questionId : 'other';
+            counts.set(question, (counts.get(question) || 0) + userResponses.size);
+        });
+        counts.forEach((value, question) => {
+            series.push({ labels: { room: room.code, question }, value });
+        });
+    });
+    return series;
+});
+metrics.gauge('hub_uptime_seconds', 'Seconds since the hub process started', [], () => Math.round(process.uptime()));
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], () => process.memoryUsage().rss);
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', [], () => process.memoryUsage().heapUsed);
+metrics.gauge('nodejs_heap_total_bytes', 'V8 heap allocated in bytes', [], () => process.memoryUsage().heapTotal);
+metrics.gauge('nodejs_eventloop_delay_p99_seconds', '99th percentile event loop delay since the last scrape', [], () => {
+    const p99 = eventLoopDelay.percentile(99) / 1e9;
+    eventLoopDelay.reset();
+    return p99;
+});
+
+// Structured logs, rotated in hub-data/logs
+configureLogging();
+
+// Durable session journal, and the audit trail of who did what during the session
+const journal = new SessionJournal(path.join(DATA_DIR, 'session.jsonl'));
+const audit = new AuditTrail(path.join(DATA_DIR, 'audit'));
+if (!EXPORT_FILE && !UPLOAD_ONLY) {
+    claimDataDir();
+}
+restoreSession();
+
+// One-off export mode: write the gradebook from the journal and exit without starting the hub
+if (EXPORT_FILE) {
+    exportSessionToFile(EXPORT_FILE, getArgValue('--room'));
+    process.exit(0);
+}
+
+// Uploads collected responses to Firestore once the internet is back
+const firebaseBridge = new FirebaseBridge({
+    credentialsFile: FIREBASE_CREDENTIALS,
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    ledgerFile: path.join(DATA_DIR, 'firebase-uploads.json'),
+    reportDir: path.join(DATA_DIR, 'uploads')
+});
+
+// Replicates responses with peer hubs for school-wide results
+const federation = new Federation({
+    hubId: HUB_ID,
+    hubName: HUB_NAME,
+    federationKey: FEDERATION_KEY,
+    localRecords: listLocalRecords
+});
+
+// Key teachers present to unlock the control channel
+const TEACHER_KEY = loadTeacherKey();
+
+// Optional class roster; when loaded, students must sign in with a PIN or join code
+const roster = loadRoster();
+
+// Failed roster sign-ins per student and per address, so guessing a PIN can't restart on a new connection
+const signInLockout = new SignInLockout();
+
 // Create HTTP server
 const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
     // Basic HTTP endpoint for health check
-    if (req.url === '/health') {
+    if (url.pathname === '/health') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
             status: 'healthy',
             clients: connectedClients.size,
             uptime: Date.now() - sessionData.startTime,
-            activeUsers: sessionData.activeUsers.size
+            activeUsers: countActiveUsers(),
+            rooms: sessionData.rooms.size
         }));
-    } else if (req.url === '/info') {
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(`
+    } else if (url.pathname === '/metrics') {
+        // Prometheus scrape endpoint; like /health it holds no student data, only counts
+        res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE, 'Cache-Control': 'no-store' });
+        res.end(metrics.render());
+    } else if (url.pathname === '/info') {
+        renderInfoPage().then(html => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(html);
+        }).catch(error => {
+            log.error('ERROR', 'Failed to render info page', { error });
+            res.writeHead(500);
+            res.end('Info page unavailable');
+        });
+    } else if (url.pathname === '/discover') {
+        // Discovery endpoint; any origin may probe it to find the hub
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        sendJson(res, 200, describeHub());
+    } else if (url.pathname === '/join') {
+        renderJoinPage(url).then(html => {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(html);
+        }).catch(error => {
+            log.error('ERROR', 'Failed to render join page', { error });
+            res.writeHead(500);
+            res.end('Join page unavailable');
+        });
+    } else if (url.pathname === '/dashboard') {
+        // Live teacher dashboard; it authenticates over the WebSocket with the teacher key
+        fs.readFile(DASHBOARD_FILE, (error, html) => {
+            if (error) {
+                log.error('ERROR', 'Failed to read dashboard', { error });
+                res.writeHead(500);
+                res.end('Dashboard unavailable');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(html);
+        });
+    } else if (url.pathname.startsWith('/api/')) {
+        // A bad record must fail the request, not the hub; upload and import finish asynchronously
+        try {
+            Promise.resolve(handleApiRequest(req, res, url)).catch(error => failApiRequest(req, res, url, error));
+        } catch (error) {
+            failApiRequest(req, res, url, error);
+        }
+    } else if (!staticAssets.serveStatic(req, res, url.pathname)) {
+        // Everything else is either part of the quiz app or not found
+        res.writeHead(404);
+        res.end('Not found');
+    }
+});
+
+// Answer an API request that threw with a 500
+function failApiRequest(req, res, url, error) {
+    log.error('API', `${req.method} ${url.pathname} failed`, { error });
+    if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal error' });
+    } else {
+        res.destroy();
+    }
+}
+
+// Send a JSON response
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+// Handle REST/JSON API requests; every route requires the teacher key
+function handleApiRequest(req, res, url) {
+    const presentedKey = req.headers['x-teacher-key'] || url.searchParams.get('key');
+    if (!isTeacherKey(presentedKey)) {
+        log.info('API', `Rejected ${req.method} ${url.pathname} from ${req.socket.remoteAddress}`);
+        return sendJson(res, 401, { error: 'Teacher key required (X-Teacher-Key header or ?key=)' });
+    }
+
+    if (url.pathname === '/api/import') {
+        if (req.method !== 'POST') {
+            return sendJson(res, 405, { error: 'Use POST to import export files' });
+        }
+        return handleImportRequest(req, res, url);
+    }
+
+    if (url.pathname.startsWith('/api/roster')) {
+        return handleRosterRequest(req, res, url);
+    }
+
+    if (url.pathname.startsWith('/api/audit')) {
+        return handleAuditRequest(req, res, url);
+    }
+
+    if (url.pathname.startsWith('/api/federation')) {
+        return handleFederationRequest(req, res, url);
+    }
+
+    if (url.pathname === '/api/upload') {
+        if (req.method !== 'POST') {
+            return sendJson(res, 405, { error: 'Use POST to upload to Firebase' });
+        }
+        return handleUploadRequest(req, res, url);
+    }
+
+    if (url.pathname === '/api/session/end') {
+        if (req.method !== 'POST') {
+            return sendJson(res, 405, { error: 'Use POST to end a session' });
+        }
+        return handleEndSessionRequest(req, res, url);
+    }
+
+    if (req.method !== 'GET') {
+        return sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+    }
+
+    // Optional ?room= filter; omitted means every room
+    let rooms = Array.from(sessionData.rooms.values());
+    if (url.searchParams.has('room')) {
+        const roomCode = normalizeRoomCode(url.searchParams.get('room'));
+        const room = roomCode && sessionData.rooms.get(roomCode);
+        if (!room) {
+            return sendJson(res, 404, { error: `Unknown room: ${url.searchParams.get('room')}` });
+        }
+        rooms = [room];
+    }
+
+    const summaryMatch = url.pathname.match(/^\/api\/questions\/([^/]+)\/summary$/);
+
+    if (url.pathname === '/api/responses') {
+        const questionId = url.searchParams.get('questionId');
+        const userId = url.searchParams.get('userId');
+        const responses = [];
+
+        rooms.forEach(room => {
+            listResponses(room).forEach(response => {
+                if ((!questionId || response.questionId === questionId) &&
+                    (!userId || response.userId === userId)) {
+                    responses.push({ room: room.code, ...response });
+                }
+            });
+        });
+
+        sendJson(res, 200, { count: responses.length, responses });
+    } else if (url.pathname === '/api/users') {
+        const users = [];
+
+        rooms.forEach(room => {
+            listRoomStudents(room).forEach(student => {
+                const identity = sessionData.identities.get(student.userId);
+                users.push({
+                    room: room.code,
+                    ...student,
+                    responses: listResponses(room).filter(r => r.userId === student.userId).length,
+                    firstSeen: identity ? identity.firstSeen : null,
+                    lastSeen: identity ? identity.lastSeen : null
+                });
+            });
+        });
+
+        sendJson(res, 200, { count: users.length, users });
+    } else if (summaryMatch) {
+        sendJson(res, 200, summarizeQuestion(decodeURIComponent(summaryMatch[1]), rooms));
+    } else if (url.pathname === '/api/rooms') {
+        sendJson(res, 200, {
+            rooms: rooms.map(room => ({
+                code: room.code,
+                createdAt: room.createdAt,
+                activeUsers: room.activeUsers.size,
+                responses: countResponses(room),
+                ...describeRoomState(room)
+            }))
+        });
+    } else if (url.pathname === '/api/export') {
+        const format = url.searchParams.get('format') || 'session';
+        const responses = [];
+        rooms.forEach(room => {
+            listResponses(room).forEach(response => responses.push({ room: room.code, ...response }));
+        });
+        const filename = `hub-${rooms.length === 1 ? rooms[0].code : 'all'}-${new Date().toISOString().slice(0, 10)}`;
+
+        if (format === 'csv') {
+            res.writeHead(200, {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${filename}.csv"`,
+                'Cache-Control': 'no-store'
+            });
+            res.end(classData.buildGradebookCsv(responses));
+            return;
+        }
+
+        if (format === 'class_data') {
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+            sendJson(res, 200, classData.buildClassDataExport(responses));
+            return;
+        }
+
+        if (format !== 'session') {
+            return sendJson(res, 400, { error: `Unknown export format: ${format} (use session, csv, or class_data)` });
+        }
+
+        sendJson(res, 200, {
+            exportType: 'hub_session',
+            exportDate: new Date().toISOString(),
+            session: {
+                startTime: sessionData.startTime,
+                totalConnections: sessionData.totalConnections
+            },
+            identities: Object.fromEntries(sessionData.identities),
+            rooms: rooms.map(room => ({
+                code: room.code,
+                createdAt: room.createdAt,
+                state: describeRoomState(room),
+                responses: listResponses(room)
+            }))
+        });
+    } else {
+        sendJson(res, 404, { error: `Unknown API route: ${url.pathname}` });
+    }
+}
+
+// Record a teacher action taken through the REST API in the audit trail
+function auditApiAction(req, action, fields = {}) {
+    audit.record('teacher_action', {
+        by: 'Teacher (API)',
+        ip: req.socket.remoteAddress,
+        action,
+        success: true,
+        ...fields
+    });
+}
+
+// End the session for one room (?room=) or every room, archiving responses first
+function handleEndSessionRequest(req, res, url) {
+    let rooms = Array.from(sessionData.rooms.values());
+    if (url.searchParams.has('room')) {
+        const roomCode = normalizeRoomCode(url.searchParams.get('room'));
+        const room = roomCode && sessionData.rooms.get(roomCode);
+        if (!room) {
+            return sendJson(res, 404, { error: `Unknown room: ${url.searchParams.get('room')}` });
+        }
+        rooms = [room];
+    }
+
+    try {
+        const results = rooms.map(room => ({ room: room.code, ...endRoomSession(room, 'Teacher (API)') }));
+        results.forEach(result => auditApiAction(req, 'end_session', result));
+        sendJson(res, 200, { retention: describeRetentionSetting(), rooms: results });
+    } catch (error) {
+        log.error('RETENTION', 'Failed to end session', { error });
+        sendJson(res, 500, { error: `Could not write the archive: ${error.message}` });
+    }
+}
+
+// Upload one room (?room=) or every room to Firestore and report what was sent
+async function handleUploadRequest(req, res, url) {
+    const roomFilter = url.searchParams.get('room');
+    if (roomFilter && !sessionData.rooms.has(normalizeRoomCode(roomFilter))) {
+        return sendJson(res, 404, { error: `Unknown room: ${roomFilter}` });
+    }
+    if (!firebaseBridge.isConfigured()) {
+        return sendJson(res, 503, { error: 'Firebase upload is not configured; start the hub with --firebase-credentials' });
+    }
+
+    try {
+        const report = await uploadResponses(roomFilter, 'Teacher (API)');
+        auditApiAction(req, 'upload', {
+            room: report.room || undefined,
+            uploaded: report.uploaded.length,
+            skipped: report.skipped.length,
+            failed: report.failed.length
+        });
+        sendJson(res, 200, report);
+    } catch (error) {
+        log.error('UPLOAD', 'Upload failed', { error });
+        auditApiAction(req, 'upload', { success: false, reason: error.message });
+        sendJson(res, 500, { error: error.message });
+    }
+}
+
+// Audit API: list sessions, or query one session's events (the current one by default)
+function handleAuditRequest(req, res, url) {
+    if (req.method !== 'GET') {
+        return sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+    }
+
+    if (url.pathname === '/api/audit/sessions') {
+        return sendJson(res, 200, { sessions: audit.listSessions() });
+    }
+    if (url.pathname !== '/api/audit') {
+        return sendJson(res, 404, { error: `Unknown API route: ${url.pathname}` });
+    }
+
+    // Times may be given in milliseconds or as ISO dates
+    const parseTime = (name) => {
+        const value = url.searchParams.get(name);
+        if (!value) return null;
+        return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    };
+    const since = parseTime('since');
+    const until = parseTime('until');
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+        return sendJson(res, 400, { error: 'since and until must be milliseconds or ISO dates' });
+    }
+
+    const room = url.searchParams.get('room');
+    const sessionId = url.searchParams.get('session') || audit.sessionId;
+    const events = audit.query({
+        sessionId,
+        event: url.searchParams.get('event'),
+        userId: url.searchParams.get('userId'),
+        room: room ? normalizeRoomCode(room) : null,
+        questionId: url.searchParams.get('questionId'),
+        since,
+        until,
+        limit: Number(url.searchParams.get('limit')) || undefined
+    });
+    if (!events) {
+        return sendJson(res, 404, { error: `No audit trail for session ${sessionId}` });
+    }
+
+    sendJson(res, 200, { session: sessionId, count: events.length, events });
+}
+
+// Federation API: peer status, or answer distributions across every peered hub
+function handleFederationRequest(req, res, url) {
+    if (req.method !== 'GET') {
+        return sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+    }
+
+    if (url.pathname === '/api/federation') {
+        return sendJson(res, 200, federation.describe());
+    }
+
+    if (url.pathname === '/api/federation/summary') {
+        const records = federation.listSchoolRecords();
+        const questionIds = Array.from(new Set(records.map(record => record.questionId))).sort();
+        const hubs = new Map(records.map(record => [record.hubId, record.hubName]));
+
+        return sendJson(res, 200, {
+            enabled: federation.isEnabled(),
+            hubs: Array.from(hubs, ([hubId, hubName]) => ({ hubId, hubName })),
+            total: records.length,
+            questions: questionIds.map(questionId => {
+                const answers = records.filter(record => record.questionId === questionId);
+                const byHub = {};
+                answers.forEach(record => {
+                    byHub[record.hubName] = (byHub[record.hubName] || 0) + 1;
+                });
+                return { ...summarizeAnswers(questionId, answers), byHub };
+            })
+        });
+    }
+
+    sendJson(res, 404, { error: `Unknown API route: ${url.pathname}` });
+}
+
+// Roster API: list students with their join codes, or issue a fresh code
+function handleRosterRequest(req, res, url) {
+    if (!roster) {
+        return sendJson(res, 404, { error: 'No roster loaded (start the hub with --roster class.csv)' });
+    }
+
+    if (url.pathname === '/api/roster/reset-code') {
+        if (req.method !== 'POST') {
+            return sendJson(res, 405, { error: 'Use POST to reset a join code' });
+        }
+        const userId = url.searchParams.get('userId');
+        const student = roster.resetJoinCode(userId);
+        if (!student) {
+            return sendJson(res, 404, { error: `Not on the roster: ${userId}` });
+        }
+        revokeSessionTokens(student.userId);
+        log.info('ROSTER', `Issued a new join code for ${student.displayName} (${student.userId})`);
+        auditApiAction(req, 'reset_join_code', { userId: student.userId });
+        return sendJson(res, 200, { userId: student.userId, displayName: student.displayName, joinCode: student.joinCode });
+    }
+
+    if (url.pathname !== '/api/roster') {
+        return sendJson(res, 404, { error: `Unknown API route: ${url.pathname}` });
+    }
+    if (req.method !== 'GET') {
+        return sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+    }
+
+    const students = roster.list();
+    if (url.searchParams.get('format') === 'csv') {
+        // Printable sign-in slips; PINs stay in the teacher's own roster file
+        const rows = students.map(student => [
+            student.displayName,
+            student.userId,
+            student.credential === 'pin' ? 'PIN from roster' : student.joinCode,
+            student.joinCodeUsed ? 'used' : ''
+        ].map(cell => /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell).join(','));
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="roster-join-codes.csv"',
+            'Cache-Control': 'no-store'
+        });
+        res.end(['student,userId,joinCode,status', ...rows].join('\r\n') + '\r\n');
+        return;
+    }
+
+    sendJson(res, 200, { count: students.length, students });
+}
+
+// Read and parse a JSON request body
+function readJsonBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            // Keep draining an oversized body so the error response can still be sent
+            if (size <= maxBytes) {
+                chunks.push(chunk);
+            }
+        });
+
+        req.on('end', () => {
+            if (size > maxBytes) {
+                reject(new Error(`Request body exceeds ${maxBytes} bytes`));
+                return;
+            }
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+// Import student_data / class_data export files into a room (POST /api/import?room=)
+async function handleImportRequest(req, res, url) {
+    const roomCode = normalizeRoomCode(url.searchParams.get('room'));
+    if (!roomCode) {
+        return sendJson(res, 400, { error: 'Invalid join code' });
+    }
+
+    let body;
+    try {
+        body = await readJsonBody(req, MAX_IMPORT_BYTES);
+    } catch (error) {
+        return sendJson(res, 400, { error: error.message });
+    }
+
+    // Accept a single export or an array of exports (one per file)
+    const files = Array.isArray(body) ? body : [body];
+    const results = {
+        room: roomCode,
+        successful: 0,
+        failed: 0,
+        imported: 0,
+        conflicts: [],
+        mergedUsers: [],
+        errors: []
+    };
+
+    // Check every file before touching the room, so a bad import doesn't leave an empty room behind
+    const exports = [];
+    files.forEach((importData, index) => {
+        try {
+            exports.push(classData.readExportedStudents(importData));
+        } catch (error) {
+            results.errors.push({ file: index, error: error.message });
+            results.failed++;
+        }
+    });
+    if (exports.length === 0) {
+        log.info('IMPORT', `Nothing to import into room ${roomCode} (${results.failed} failed)`);
+        auditApiAction(req, 'import', {
+            success: results.failed === 0,
+            room: roomCode,
+            imported: 0,
+            files: files.length,
+            conflicts: 0
+        });
+        return sendJson(res, results.failed > 0 ? 400 : 200, results);
+    }
+
+    const room = getRoom(roomCode);
+    exports.forEach(students => {
+        students.forEach(({ username, data }) => {
+            const userId = findUserIdByName(room, username) || username;
+            const existingResponses = new Map();
+            room.responses.forEach((userResponses, questionId) => {
+                if (userResponses.has(userId)) {
+                    existingResponses.set(questionId, userResponses.get(userId));
+                }
+            });
+
+            const { result, responses } = classData.mergeStudentData(existingResponses, userId, username, data);
+            responses.forEach(response => {
+                storeImportedResponse(room, response);
+                results.imported++;
+            });
+
+            if (result.conflict) {
+                results.conflicts.push(result);
+            }
+            results.mergedUsers.push(username);
+        });
+
+        results.successful++;
+    });
+
+    log.info('IMPORT', `Merged ${results.imported} responses from ${results.successful} files into room ${room.code} (${results.failed} failed, ${results.conflicts.length} conflicts)`);
+    auditApiAction(req, 'import', {
+        success: results.successful > 0 || results.failed === 0,
+        room: room.code,
+        imported: results.imported,
+        files: files.length,
+        conflicts: results.conflicts.length
+    });
+    sendJson(res, 200, results);
+}
+
+// Find the hub userId of a student in a room by display name
+function findUserIdByName(room, displayName) {
+    for (const student of listRoomStudents(room)) {
+        if (student.displayName === displayName) return student.userId;
+    }
+    return null;
+}
+
+// Store an imported response and share it with the room like a live submission
+function storeImportedResponse(room, response) {
+    storeResponse(room, response);
+    journal.append('response', { room: room.code, response });
+    federation.publish(room.code, response);
+
+    broadcastToRoom(room.code, {
+        type: 'peer_response',
+        ...response
+    });
+}
+
+// Summarize the answers to a question across the given rooms
+function summarizeQuestion(questionId, rooms) {
+    const responses = [];
+    rooms.forEach(room => {
+        const userResponses = room.responses.get(questionId);
+        if (userResponses) responses.push(...userResponses.values());
+    });
+
+    return {
+        ...summarizeAnswers(questionId, responses),
+        rooms: rooms.map(room => room.code)
+    };
+}
+
+// Count a question's answers and check them against the answer key
+function summarizeAnswers(questionId, responses) {
+    const distribution = {};
+
+    responses.forEach(response => {
+        // Free-response answers are objects; only count that they were answered
+        const key = typeof response.answer === 'object' ? 'free-response' : String(response.answer);
+        distribution[key] = (distribution[key] || 0) + 1;
+    });
+
+    const question = curriculum.getQuestion(questionId);
+    const answerKey = curriculum.getAnswerKey(questionId);
+
+    return {
+        questionId,
+        questionType: question ? question.type : null,
+        total: responses.length,
+        distribution,
+        answerKey,
+        correct: answerKey ? (distribution[answerKey] || 0) : null
+    };
+}
+
+// Create WebSocket server
+// maxPayload makes ws close oversized messages with 1009 before they are buffered
+const wss = new WebSocket.Server({ server, maxPayload: rateLimit.MAX_MESSAGE_BYTES });
+
+// Get the LAN address students should use (HUB_HOST overrides the adapter choice)
+function getLocalIP() {
+    return discovery.getPreferredAddress();
+}
+
+// Build the URL a student opens to join, optionally for a specific room
+function getJoinUrl(roomCode = null) {
+    const base = `http://${getLocalIP()}:${PORT}/join`;
+    return roomCode ? `${base}?room=${encodeURIComponent(roomCode)}` : base;
+}
+
+// Describe this hub for /discover and the LAN beacon
+function describeHub() {
+    const port = Number(PORT);
+    return {
+        service: discovery.DISCOVERY_SERVICE,
+        hubId: HUB_ID,
+        name: HUB_NAME,
+        port,
+        preferred: `${getLocalIP()}:${port}`,
+        addresses: discovery.getNetworkAddresses().map(candidate => ({
+            address: candidate.address,
+            interface: candidate.interface,
+            hub: `${candidate.address}:${port}`,
+            ws: `ws://${candidate.address}:${port}`
+        })),
+        rooms: Array.from(sessionData.rooms.keys()),
+        joinUrl: getJoinUrl()
+    };
+}
+
+// Render a QR code as inline SVG, or an empty string if it cannot be generated
+function renderQrSvg(text) {
+    return QRCode.toString(text, { type: 'svg', margin: 1 }).catch(error => {
+        log.error('ERROR', 'Failed to render QR code', { error });
+        return '';
+    });
+}
+
+// Render the /info status page
+async function renderInfoPage() {
+    const joinQr = await renderQrSvg(getJoinUrl());
+
+    return `
             <html>
                 <head><title>AP Stats Local Hub</title></head>
                 <body style="font-family: Arial, sans-serif; padding: 20px;">
@@ -46,34 +826,208 @@ const server = http.createServer((req, res) => {
                     <p><strong>Port:</strong> ${PORT}</p>
                     <p><strong>WebSocket URL:</strong> ws://${getLocalIP()}:${PORT}</p>
                     <p><strong>Connected Clients:</strong> ${connectedClients.size}</p>
-                    <p><strong>Active Users:</strong> ${sessionData.activeUsers.size}</p>
+                    <p><strong>Active Users:</strong> ${countActiveUsers()}</p>
                     <p><strong>Uptime:</strong> ${Math.floor((Date.now() - sessionData.startTime) / 1000)} seconds</p>
+                    <p><strong>Teacher Dashboard:</strong> <a href="/dashboard">http://${getLocalIP()}:${PORT}/dashboard</a></p>
+                    <p><strong>Federation:</strong> ${describeFederation()}</p>
+                    <p><strong>Firebase Upload:</strong> ${describeFirebaseUpload()}</p>
+                    <p><strong>Retention:</strong> ${retention.describeRetention(RETENTION)} <span style="color: #666;">(archives in ${ARCHIVE_DIR})</span></p>
+                    <h2>Active Rooms</h2>
+                    ${renderRoomTable()}
+                    <h2>Join</h2>
+                    <div style="width: 200px;">${joinQr}</div>
+                    <p>Scan to open <a href="/join">${getJoinUrl()}</a>, or open <a href="/join?room=CODE">/join?room=CODE</a> to project a room's join code.</p>
                     <hr>
                     <p style="color: #666;">Students should enter this IP in their browser when offline: <strong>${getLocalIP()}:${PORT}</strong></p>
+                    <p style="color: #666;">Other addresses of this computer: ${discovery.getNetworkAddresses().slice(1).map(c => `${c.address} (${c.interface})`).join(', ') || 'none'}</p>
                 </body>
             </html>
-        `);
-    } else {
-        res.writeHead(404);
-        res.end('Not found');
+        `;
+}
+
+// Render the join page students reach by scanning the QR code
+async function renderJoinPage(url) {
+    const roomCode = url.searchParams.has('room') ? normalizeRoomCode(url.searchParams.get('room')) : null;
+    const hubAddress = `${getLocalIP()}:${PORT}`;
+    const qrSvg = await renderQrSvg(getJoinUrl(roomCode));
+    const appParams = new URLSearchParams({ hub: hubAddress });
+    if (roomCode) appParams.set('room', roomCode);
+    const appUrl = `/index-refactored.html?${appParams}`;
+
+    return `
+            <html>
+                <head>
+                    <title>Join AP Stats Local Hub</title>
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                </head>
+                <body style="font-family: Arial, sans-serif; padding: 20px; text-align: center;">
+                    <h1>🏠 Join the Class Local Hub</h1>
+                    <div style="max-width: 320px; margin: 0 auto;">${qrSvg}</div>
+                    <p style="font-size: 1.3em;">Hub address: <strong>${hubAddress}</strong></p>
+                    ${roomCode ? `<p style="font-size: 1.3em;">Join code: <strong>${roomCode}</strong></p>` : ''}
+                    <p><a href="/" style="font-size: 1.2em;">📘 Open the quiz on this device</a></p>
+                    <p><a href="${appUrl}">🏠 Open the Local Hub edition (connects automatically)</a></p>
+                    <p style="color: #666;">Already have the quiz open? Click <strong>Connect to Local Hub</strong> and enter the address${roomCode ? ' and join code' : ''} above.</p>
+                </body>
+            </html>
+        `;
+}
+
+// Normalize a join code sent by a client, or null if it is not a valid code
+function normalizeRoomCode(code) {
+    if (code === undefined || code === null || code === '') return DEFAULT_ROOM;
+    const normalized = String(code).trim().toUpperCase();
+    return ROOM_CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+// Get a room by code, creating it on first use
+function getRoom(code, createdAt = Date.now()) {
+    if (!sessionData.rooms.has(code)) {
+        sessionData.rooms.set(code, {
+            code,
+            createdAt,
+            activeUsers: new Set(),
+            responses: new Map(), // questionId -> Map of userId -> response
+            epoch: crypto.randomBytes(4).toString('hex'), // sync cursors from another room or hub run don't apply
+            seq: 0, // last sequence number given to a response or removal
+            resetSeq: 0, // sequence number of the last removal; cursors before it need a full sync
+            currentQuestion: null,
+            locked: false,
+            lockedQuestions: new Set(),
+            revealedAnswers: new Map(), // questionId -> answer key
+            presence: new Map() // userId -> { questionId, state, lastActivity }
+        });
+        journal.append('room', { room: code, createdAt });
     }
-});
+    return sessionData.rooms.get(code);
+}
 
-// Create WebSocket server
-const wss = new WebSocket.Server({ server });
+// Count responses stored in a room
+function countResponses(room) {
+    return Array.from(room.responses.values())
+        .reduce((sum, map) => sum + map.size, 0);
+}
 
-// Get local IP address
-function getLocalIP() {
-    const interfaces = os.networkInterfaces();
-    for (const name of Object.keys(interfaces)) {
-        for (const iface of interfaces[name]) {
-            // Skip internal and IPv6 addresses
-            if (!iface.internal && iface.family === 'IPv4') {
-                return iface.address;
-            }
-        }
+// Count active users across all rooms
+function countActiveUsers() {
+    return Array.from(sessionData.rooms.values())
+        .reduce((sum, room) => sum + room.activeUsers.size, 0);
+}
+
+// Flatten a room's responses into a list
+function listResponses(room) {
+    const responses = [];
+    room.responses.forEach(userResponses => {
+        userResponses.forEach(response => {
+            responses.push(response);
+        });
+    });
+    return responses;
+}
+
+// Store a response in a room under the room's next sequence number
+function storeResponse(room, response) {
+    if (!room.responses.has(response.questionId)) {
+        room.responses.set(response.questionId, new Map());
     }
-    return 'localhost';
+    room.seq++;
+    response.seq = room.seq;
+    room.responses.get(response.questionId).set(response.userId, response);
+}
+
+// Note that responses were removed from a room, so clients that synced earlier get a full sync
+function markResponsesRemoved(room) {
+    room.seq++;
+    room.resetSeq = room.seq;
+}
+
+// Build the responses a client is missing since its cursor; a cursor from another room or
+// hub run, or from before responses were removed, gets the whole room instead
+function buildSync(room, epoch, since) {
+    const full = epoch !== room.epoch || !Number.isInteger(since) || since < room.resetSeq || since > room.seq;
+    const responses = listResponses(room)
+        .filter(response => full || response.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+
+    const kind = full ? 'full' : 'delta';
+    hubMetrics.syncs.inc({ kind });
+    hubMetrics.syncResponses.inc({ kind }, responses.length);
+
+    return {
+        full,
+        since: full ? 0 : since,
+        epoch: room.epoch,
+        seq: room.seq,
+        responses
+    };
+}
+
+// This hub's responses as federation records
+function listLocalRecords() {
+    const records = [];
+    sessionData.rooms.forEach(room => {
+        listResponses(room).forEach(response => records.push(federation.toRecord(room.code, response)));
+    });
+    return records;
+}
+
+// Escape text from other hubs before putting it in a page
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Render the active rooms table for the /info page
+function renderRoomTable() {
+    if (sessionData.rooms.size === 0) {
+        return '<p style="color: #666;">No rooms yet. Students join a room by entering its join code.</p>';
+    }
+
+    const rows = Array.from(sessionData.rooms.values()).map(room => {
+        const clients = Array.from(connectedClients.values())
+            .filter(clientInfo => clientInfo.room === room.code).length;
+        return `
+                        <tr>
+                            <td><strong><a href="/join?room=${room.code}">${room.code}</a></strong></td>
+                            <td>${clients}</td>
+                            <td>${room.activeUsers.size}</td>
+                            <td>${countResponses(room)}</td>
+                            <td>${new Date(room.createdAt).toLocaleTimeString()}</td>
+                        </tr>`;
+    }).join('');
+
+    return `
+                    <table border="1" cellpadding="6" style="border-collapse: collapse;">
+                        <tr><th>Join Code</th><th>Clients</th><th>Active Users</th><th>Responses</th><th>Created</th></tr>${rows}
+                    </table>`;
+}
+
+// Broadcast message to every client in a room except sender
+function broadcastToRoom(roomCode, message, senderWs = null) {
+    const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
+
+    const recipients = [];
+    wss.clients.forEach(client => {
+        const clientInfo = connectedClients.get(client);
+        if (client !== senderWs && client.readyState === WebSocket.OPEN &&
+            clientInfo && clientInfo.room === roomCode) {
+            recipients.push(client);
+        }
+    });
+    if (recipients.length === 0) return;
+
+    // Fan-out latency runs until the last recipient's socket has taken the message
+    const startedAt = process.hrtime.bigint();
+    let pending = recipients.length;
+    recipients.forEach(client => {
+        client.send(messageStr, () => {
+            if (--pending === 0) {
+                hubMetrics.broadcastFanout.observe({}, Number(process.hrtime.bigint() - startedAt) / 1e9);
+            }
+        });
+    });
+
+    hubMetrics.broadcastRecipients.observe({}, recipients.length);
+    hubMetrics.messagesSent.inc({ type: sentMessageType(message) }, recipients.length);
 }
 
 // Broadcast message to all clients except sender
@@ -83,6 +1037,16 @@ function broadcast(message, senderWs = null) {
     wss.clients.forEach(client => {
         if (client !== senderWs && client.readyState === WebSocket.OPEN) {
             client.send(messageStr);
+            hubMetrics.messagesSent.inc({ type: sentMessageType(message) });
+        }
+    });
+}
+
+// Send a message to the teachers controlling a room
+function sendToTeachers(roomCode, message) {
+    connectedClients.forEach((info, clientWs) => {
+        if (info.role === 'teacher' && info.room === roomCode) {
+            sendToClient(clientWs, message);
         }
     });
 }
@@ -92,6 +1056,491 @@ function sendToClient(clientWs, message) {
     if (clientWs.readyState === WebSocket.OPEN) {
         const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
         clientWs.send(messageStr);
+        hubMetrics.messagesSent.inc({ type: sentMessageType(message) });
+    }
+}
+
+// Message type for metrics labels; pre-serialized messages aren't parsed again
+function sentMessageType(message) {
+    return typeof message === 'object' && message && message.type ? message.type : 'unknown';
+}
+
+// Inbound message type for metrics labels, limited to the protocol's types so clients can't add series
+function receivedMessageType(message) {
+    const type = message && typeof message.type === 'string' ? message.type : null;
+    return type && protocol.MESSAGE_SCHEMAS[type] ? type : 'unknown';
+}
+
+// Refuse to start while another hub runs on the same data directory; compacting its journal would lose its session
+function claimDataDir() {
+    try {
+        journal.lock();
+    } catch (error) {
+        log.error('STARTUP', error.message);
+        process.exit(1);
+    }
+    process.on('exit', () => journal.unlock());
+}
+
+// Rebuild session state from the on-disk journal
+function restoreSession() {
+    if (FRESH_SESSION && !EXPORT_FILE && !UPLOAD_ONLY) {
+        log.info('JOURNAL', '--fresh given, discarding previous session');
+        journal.rewrite([]);
+    }
+
+    const entries = journal.load();
+    let restoredResponses = 0;
+
+    entries.forEach(entry => {
+        switch (entry.op) {
+            case 'session':
+                sessionData.startTime = entry.startTime;
+                sessionData.totalConnections = entry.totalConnections || 0;
+                break;
+
+            case 'connection':
+                sessionData.totalConnections++;
+                break;
+
+            case 'identify':
+                rememberIdentity(entry.userId, entry.displayName, entry.at);
+                break;
+
+            case 'token':
+                sessionData.sessionTokens.set(entry.tokenHash, {
+                    userId: entry.userId,
+                    displayName: entry.displayName,
+                    issuedAt: entry.issuedAt
+                });
+                break;
+
+            case 'revoke':
+                revokeSessionTokens(entry.userId, false);
+                break;
+
+            case 'room': {
+                const room = getRoom(entry.room, entry.createdAt);
+                if (entry.state) {
+                    room.currentQuestion = entry.state.currentQuestion;
+                    room.locked = entry.state.locked;
+                    room.lockedQuestions = new Set(entry.state.lockedQuestions);
+                    room.revealedAnswers = new Map(Object.entries(entry.state.revealedAnswers));
+                }
+                break;
+            }
+
+            case 'push':
+                getRoom(entry.room).currentQuestion = entry.questionId;
+                break;
+
+            case 'lock':
+                applyLock(getRoom(entry.room), entry.questionId, entry.locked);
+                break;
+
+            case 'reveal':
+                getRoom(entry.room).revealedAnswers.set(entry.questionId, entry.answerKey);
+                break;
+
+            case 'clear': {
+                const room = getRoom(entry.room);
+                room.responses.delete(entry.questionId);
+                room.revealedAnswers.delete(entry.questionId);
+                break;
+            }
+
+            case 'end':
+                resetRoom(getRoom(entry.room));
+                break;
+
+            case 'response':
+                // Replayed responses are renumbered; clients' cursors from the last run get a full sync.
+                // Responses journaled before receivedAt was recorded reached the hub when they were journaled.
+                storeResponse(getRoom(entry.room || DEFAULT_ROOM), { receivedAt: entry.at, ...entry.response });
+                restoredResponses++;
+                break;
+
+            case 'remove': {
+                const room = sessionData.rooms.get(entry.room || DEFAULT_ROOM);
+                const userResponses = room && room.responses.get(entry.questionId);
+                if (userResponses) {
+                    userResponses.delete(entry.userId);
+                    if (userResponses.size === 0) {
+                        room.responses.delete(entry.questionId);
+                    }
+                }
+                break;
+            }
+        }
+    });
+
+    if (entries.length > 0) {
+        const totalResponses = Array.from(sessionData.rooms.values())
+            .reduce((sum, room) => sum + countResponses(room), 0);
+        log.info('JOURNAL', `Restored session with ${sessionData.rooms.size} rooms, ${sessionData.identities.size} users and ${totalResponses} responses (${restoredResponses} replayed)`);
+    }
+
+    // Exports and uploads only read the journal; a running hub may still be appending to it
+    if (EXPORT_FILE || UPLOAD_ONLY) return;
+
+    // Compact the journal down to the current state before appending to it
+    journal.rewrite(snapshotEntries());
+    journal.open();
+    audit.open(sessionData.startTime);
+}
+
+// Write the restored session to a gradebook file (.csv) or class data export (.json)
+function exportSessionToFile(filePath, roomFilter) {
+    const roomCode = roomFilter ? normalizeRoomCode(roomFilter) : null;
+    const responses = [];
+
+    sessionData.rooms.forEach(room => {
+        if (roomCode && room.code !== roomCode) return;
+        listResponses(room).forEach(response => responses.push({ room: room.code, ...response }));
+    });
+
+    const content = path.extname(filePath).toLowerCase() === '.csv'
+        ? classData.buildGradebookCsv(responses)
+        : JSON.stringify(classData.buildClassDataExport(responses), null, 2);
+
+    fs.writeFileSync(filePath, content);
+    log.info('EXPORT', `Wrote ${responses.length} responses${roomCode ? ` from room ${roomCode}` : ''} to ${filePath}`);
+}
+
+// Upload the session's responses, optionally for one room, through the Firebase bridge
+async function uploadResponses(roomFilter, requestedBy) {
+    const roomCode = roomFilter ? normalizeRoomCode(roomFilter) : null;
+    const responses = [];
+
+    sessionData.rooms.forEach(room => {
+        if (roomCode && room.code !== roomCode) return;
+        listResponses(room).forEach(response => responses.push({ room: room.code, ...response }));
+    });
+
+    log.info('UPLOAD', `${requestedBy} started uploading ${responses.length} responses${roomCode ? ` from room ${roomCode}` : ''}`);
+    const report = await firebaseBridge.upload(responses, { room: roomCode, requestedBy });
+    log.info('UPLOAD', `${report.uploaded.length} uploaded, ${report.skipped.length} skipped, ` +
+        `${report.failed.length} failed (report: ${report.reportFile})`);
+
+    return report;
+}
+
+// One-off upload mode: send the journal's responses to Firestore, then exit without starting the hub
+function uploadFromCommandLine() {
+    clearInterval(heartbeatInterval);
+    clearInterval(presenceInterval);
+    clearInterval(cleanupInterval);
+
+    uploadResponses(getArgValue('--room'), 'Command line').then(report => {
+        report.failed.forEach(record => {
+            log.error('UPLOAD', `Failed ${record.room} ${record.questionId} ${record.userId}: ${record.error}`);
+        });
+        process.exit(report.failed.length > 0 ? 1 : 0);
+    }, error => {
+        log.error('UPLOAD', error.message);
+        process.exit(1);
+    });
+}
+
+// Federation status for the /info page
+function describeFederation() {
+    if (!federation.isEnabled()) {
+        return 'Off <span style="color: #666;">(set HUB_FEDERATION_KEY on every hub to share results across classrooms)</span>';
+    }
+    const { peers, replicatedRecords } = federation.describe();
+    const names = peers.map(peer => escapeHtml(peer.hubName)).join(', ');
+    return `${peers.length} peer hub${peers.length === 1 ? '' : 's'}${names ? ` (${names})` : ''}, ${replicatedRecords} replicated responses`;
+}
+
+// Firebase upload status for the /info page
+function describeFirebaseUpload() {
+    const bridge = firebaseBridge.describe();
+    if (!bridge.configured) {
+        return 'Not configured <span style="color: #666;">(start the hub with --firebase-credentials to upload responses when the internet is back)</span>';
+    }
+    return `${bridge.target} <span style="color: #666;">(POST /api/upload)</span>`;
+}
+
+// Read the value following a command-line flag, e.g. --export grades.csv
+function getArgValue(flag) {
+    const index = process.argv.indexOf(flag);
+    return index !== -1 && index + 1 < process.argv.length ? process.argv[index + 1] : null;
+}
+
+// Read every value of a repeatable flag, e.g. --peer ws://a:8080 --peer ws://b:8080
+function getArgValues(flag) {
+    const values = [];
+    process.argv.forEach((arg, index) => {
+        if (arg === flag && index + 1 < process.argv.length) {
+            values.push(process.argv[index + 1]);
+        }
+    });
+    return values;
+}
+
+// Build a minimal set of journal entries describing the current session
+function snapshotEntries() {
+    const entries = [{
+        op: 'session',
+        at: Date.now(),
+        startTime: sessionData.startTime,
+        totalConnections: sessionData.totalConnections
+    }];
+
+    sessionData.identities.forEach((identity, userId) => {
+        entries.push({ op: 'identify', at: identity.lastSeen, userId, displayName: identity.displayName });
+    });
+
+    sessionData.sessionTokens.forEach((session, tokenHash) => {
+        if (session.issuedAt + SESSION_TOKEN_TTL > Date.now()) {
+            entries.push({ op: 'token', at: session.issuedAt, tokenHash, ...session });
+        }
+    });
+
+    sessionData.rooms.forEach(room => {
+        entries.push({
+            op: 'room',
+            at: room.createdAt,
+            room: room.code,
+            createdAt: room.createdAt,
+            state: describeRoomState(room)
+        });
+        listResponses(room).forEach(response => {
+            entries.push({ op: 'response', at: response.timestamp, room: room.code, response });
+        });
+    });
+
+    return entries;
+}
+
+// Read the teacher key from the environment, or load/generate one kept alongside the journal
+function loadTeacherKey() {
+    if (process.env.TEACHER_KEY) return process.env.TEACHER_KEY;
+
+    const keyFile = path.join(DATA_DIR, 'teacher.key');
+    try {
+        const saved = fs.readFileSync(keyFile, 'utf8').trim();
+        // Earlier versions generated 8-character keys, short enough to guess; replace those
+        if (saved.length >= TEACHER_KEY_BYTES * 2) return saved;
+        log.warn('AUTH', `Replacing the short teacher key in ${keyFile}`);
+    } catch (error) {
+        // No saved key yet
+    }
+
+    const key = crypto.randomBytes(TEACHER_KEY_BYTES).toString('hex');
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(keyFile, key + '\n', { mode: 0o600 });
+    return key;
+}
+
+// Start writing structured logs; an unknown HUB_LOG_LEVEL stops the hub
+function configureLogging() {
+    try {
+        log.configure({ dir: LOG_DIR, level: LOG_LEVEL });
+    } catch (error) {
+        log.error('LOG', error.message);
+        process.exit(1);
+    }
+}
+
+// Parse the retention policy given with --retention or HUB_RETENTION; a bad value stops the hub
+function loadRetention() {
+    const setting = getArgValue('--retention') || process.env.HUB_RETENTION || retention.DEFAULT_RETENTION;
+    try {
+        return { setting, ...retention.parseRetention(setting) };
+    } catch (error) {
+        log.error('RETENTION', error.message);
+        process.exit(1);
+    }
+}
+
+// Retention policy as reported by the API
+function describeRetentionSetting() {
+    return {
+        policy: RETENTION.setting,
+        mode: RETENTION.mode,
+        hours: RETENTION.hours,
+        description: retention.describeRetention(RETENTION)
+    };
+}
+
+// Forget a room's responses and live-lesson state
+function resetRoom(room) {
+    room.responses.clear();
+    markResponsesRemoved(room);
+    room.currentQuestion = null;
+    room.locked = false;
+    room.lockedQuestions.clear();
+    room.revealedAnswers.clear();
+}
+
+// Archive a room's responses to disk, then clear the room unless retention is "never"
+function endRoomSession(room, endedBy) {
+    const responses = listResponses(room);
+    const archivePath = responses.length > 0
+        ? retention.writeArchive(ARCHIVE_DIR, {
+            room: room.code,
+            reason: 'end_session',
+            endedBy,
+            retention: RETENTION.setting,
+            state: describeRoomState(room),
+            responses
+        })
+        : null;
+
+    const cleared = RETENTION.mode !== 'never';
+    if (cleared) {
+        resetRoom(room);
+        journal.append('end', { room: room.code, archive: archivePath });
+    }
+
+    log.info('RETENTION', `${endedBy} ended the session in room ${room.code}: ` +
+        `${archivePath ? `archived ${responses.length} responses to ${archivePath}` : 'nothing to archive'}${cleared ? ', room cleared' : ''}`);
+
+    broadcastToRoom(room.code, {
+        type: 'session_ended',
+        roomCode: room.code,
+        cleared,
+        seq: cleared ? room.seq : undefined
+    });
+
+    return { archived: responses.length, archive: archivePath, cleared };
+}
+
+// Load the roster given with --roster or HUB_ROSTER; a roster that fails to load stops the hub
+function loadRoster() {
+    if (!ROSTER_FILE) return null;
+
+    const loaded = new Roster(ROSTER_FILE, path.join(DATA_DIR, 'roster-codes.json'));
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const count = loaded.load();
+        const codes = loaded.list().filter(student => student.credential === 'join_code').length;
+        log.info('ROSTER', `Loaded ${count} students from ${ROSTER_FILE} (${codes} with one-time join codes)`);
+    } catch (error) {
+        log.error('ROSTER', `Failed to load ${ROSTER_FILE}: ${error.message}`);
+        process.exit(1);
+    }
+    return loaded;
+}
+
+// Hash a session token; only hashes are kept in memory and in the journal
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a session token a student can present instead of their PIN when reconnecting
+function issueSessionToken(userId, displayName) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const tokenHash = hashSessionToken(token);
+    const session = { userId, displayName, issuedAt: Date.now() };
+    sessionData.sessionTokens.set(tokenHash, session);
+    journal.append('token', { tokenHash, ...session });
+    return token;
+}
+
+// Look up an unexpired session token
+function findSessionToken(token) {
+    const session = sessionData.sessionTokens.get(hashSessionToken(token));
+    return session && session.issuedAt + SESSION_TOKEN_TTL > Date.now() ? session : null;
+}
+
+// Forget every session token of a student, so they must sign in again
+function revokeSessionTokens(userId, record = true) {
+    let revoked = 0;
+    sessionData.sessionTokens.forEach((session, tokenHash) => {
+        if (session.userId === userId) {
+            sessionData.sessionTokens.delete(tokenHash);
+            revoked++;
+        }
+    });
+    if (revoked > 0 && record) journal.append('revoke', { userId });
+    return revoked;
+}
+
+// Work out who an identifying student is: session token, roster credential, or (without a roster) their own claim
+function authenticateStudent(message, clientInfo) {
+    if (message.sessionToken) {
+        const session = findSessionToken(message.sessionToken);
+        if (session) {
+            return { userId: session.userId, displayName: session.displayName, sessionToken: message.sessionToken };
+        }
+        if (roster && !message.pin) {
+            return { code: protocol.ERROR_CODES.AUTH_FAILED, message: 'Your hub session is no longer valid. Sign in with your PIN or join code.' };
+        }
+    }
+
+    if (roster) {
+        const target = roster.findStudent(message);
+        const keys = [`ip:${clientInfo.ip}`].concat(target ? [`student:${target.userId}`] : []);
+        const wait = signInLockout.remaining(keys);
+        if (wait > 0) {
+            return {
+                code: protocol.ERROR_CODES.AUTH_FAILED,
+                message: `Too many failed sign-in attempts. Try again in ${Math.ceil(wait / 60000)} minute(s).`
+            };
+        }
+
+        const student = roster.authenticate(message);
+        if (!student) {
+            signInLockout.recordFailure(keys);
+            return { code: protocol.ERROR_CODES.AUTH_FAILED, message: 'Name and PIN, or join code, not recognized' };
+        }
+        signInLockout.clear([`ip:${clientInfo.ip}`, `student:${student.userId}`]);
+        return { userId: student.userId, displayName: student.displayName };
+    }
+
+    if (!message.userId) {
+        return { code: protocol.ERROR_CODES.INVALID_MESSAGE, message: 'userId is required' };
+    }
+    return { userId: message.userId, displayName: message.displayName };
+}
+
+// Compare a presented teacher key without leaking timing information
+function isTeacherKey(key) {
+    if (typeof key !== 'string') return false;
+    const expected = Buffer.from(TEACHER_KEY);
+    const presented = Buffer.from(key);
+    return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+}
+
+// Live-lesson state a room shares with its clients
+function describeRoomState(room) {
+    return {
+        currentQuestion: room.currentQuestion,
+        locked: room.locked,
+        lockedQuestions: Array.from(room.lockedQuestions),
+        revealedAnswers: Object.fromEntries(room.revealedAnswers)
+    };
+}
+
+// Lock or unlock a single question, or the whole room when no question is given
+function applyLock(room, questionId, locked) {
+    if (questionId) {
+        if (locked) {
+            room.lockedQuestions.add(questionId);
+        } else {
+            room.lockedQuestions.delete(questionId);
+        }
+    } else {
+        room.locked = locked;
+        if (!locked) room.lockedQuestions.clear();
+    }
+}
+
+// Check whether a room is accepting submissions for a question
+function isSubmissionLocked(room, questionId) {
+    return room.locked || room.lockedQuestions.has(questionId);
+}
+
+// Record a user identity for the session
+function rememberIdentity(userId, displayName, seenAt = Date.now()) {
+    const identity = sessionData.identities.get(userId);
+    if (identity) {
+        identity.displayName = displayName;
+        identity.lastSeen = seenAt;
+    } else {
+        sessionData.identities.set(userId, { displayName, firstSeen: seenAt, lastSeen: seenAt });
     }
 }
 
@@ -104,72 +1553,117 @@ wss.on('connection', (ws, req) => {
         ip: req.socket.remoteAddress,
         userId: null,
         displayName: null,
+        room: DEFAULT_ROOM,
+        role: 'student',
+        protocolVersion: 1,
+        authFailures: 0,
+        rateLimiter: new rateLimit.ConnectionRateLimiter(),
+        rateLimited: 0,
+        invalidJson: 0,
         isAlive: true
     };
 
     connectedClients.set(ws, clientInfo);
     sessionData.totalConnections++;
+    hubMetrics.connections.inc();
+    journal.append('connection');
 
-    console.log(`[CONNECT] New client connected: ${clientId} from ${clientInfo.ip}`);
+    log.info('CONNECT', `New client connected: ${clientId} from ${clientInfo.ip}`, { clientId, ip: clientInfo.ip });
+    audit.record('connect', { clientId, ip: clientInfo.ip });
 
     // Send welcome message
     sendToClient(ws, {
         type: 'welcome',
         clientId: clientId,
         serverTime: Date.now(),
-        connectedClients: sessionData.activeUsers.size,
+        connectedClients: countActiveUsers(),
+        protocolVersion: protocol.PROTOCOL_VERSION,
+        supportedVersions: protocol.SUPPORTED_VERSIONS,
         message: 'Connected to Local Hub successfully'
     });
 
-    // Send current classroom data to new client
-    if (sessionData.responses.size > 0) {
-        const existingData = [];
-        sessionData.responses.forEach((userResponses, questionId) => {
-            userResponses.forEach((response, userId) => {
-                existingData.push({
-                    type: 'peer_response',
-                    ...response
+    // Handle messages from client
+    ws.on('message', (data) => {
+        // Frames already buffered when we closed an abusive socket are dropped
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            abuseStats.invalidJson++;
+            clientInfo.invalidJson++;
+            hubMetrics.messagesReceived.inc({ type: 'unknown', outcome: 'invalid_json' });
+            log.error('ABUSE', `Invalid JSON from ${clientId} (${clientInfo.invalidJson}/${rateLimit.MAX_INVALID_MESSAGES})`, { error });
+            sendError(ws, protocol.ERROR_CODES.INVALID_JSON, 'Invalid message format');
+            if (clientInfo.invalidJson >= rateLimit.MAX_INVALID_MESSAGES) {
+                disconnectAbusiveClient(ws, clientInfo, 'Too many invalid messages');
+            }
+            return;
+        }
+
+        // Rate limit before doing any work; unknown types share the default bucket
+        const messageType = message && typeof message.type === 'string' ? message.type : 'default';
+        const limit = clientInfo.rateLimiter.check(messageType);
+        if (!limit.allowed) {
+            // Counted under known types only, so a client can't add keys by inventing types
+            const countedType = receivedMessageType(message);
+            abuseStats.rateLimited++;
+            hubMetrics.messagesReceived.inc({ type: countedType, outcome: 'rate_limited' });
+            abuseStats.rateLimitedByType[countedType] = (abuseStats.rateLimitedByType[countedType] || 0) + 1;
+            clientInfo.rateLimited++;
+
+            // Tell the client (and the log) once per burst rather than once per dropped message
+            if (limit.firstDrop) {
+                log.warn('ABUSE', `Rate limiting ${messageType} from ${clientId} (${clientInfo.displayName || clientInfo.ip}); ${clientInfo.rateLimited} dropped so far`);
+                sendError(ws, protocol.ERROR_CODES.RATE_LIMITED, `Too many ${messageType} messages; slow down`, {
+                    requestType: messageType,
+                    retryAfter: limit.retryAfter
                 });
-            });
-        });
+            }
+            if (clientInfo.rateLimited >= rateLimit.MAX_RATE_LIMITED_MESSAGES) {
+                disconnectAbusiveClient(ws, clientInfo, 'Too many messages');
+            }
+            return;
+        }
 
-        if (existingData.length > 0) {
-            sendToClient(ws, {
-                type: 'bulk_update',
-                responses: existingData,
-                message: 'Syncing existing classroom data'
+        const problem = protocol.validateMessage(message);
+        if (problem) {
+            abuseStats.invalidMessages++;
+            hubMetrics.messagesReceived.inc({ type: receivedMessageType(message), outcome: 'invalid' });
+            log.info('INVALID', `${problem.code} from ${clientId}: ${problem.message}`);
+            sendError(ws, problem.code, problem.message, {
+                field: problem.field,
+                requestType: message && typeof message.type === 'string' ? message.type : undefined,
+                ...refusedSubmission(message)
             });
+            return;
         }
-    }
 
-    // Handle messages from client
-    ws.on('message', (data) => {
+        hubMetrics.messagesReceived.inc({ type: message.type, outcome: 'accepted' });
         try {
-            const message = JSON.parse(data.toString());
             handleClientMessage(ws, message, clientInfo);
         } catch (error) {
-            console.error(`[ERROR] Failed to parse message from ${clientId}:`, error);
-            sendToClient(ws, {
-                type: 'error',
-                message: 'Invalid message format'
-            });
+            log.error('ERROR', `Failed to handle ${message.type} from ${clientId}`, { error });
         }
     });
 
     // Handle client disconnect
     ws.on('close', () => {
-        console.log(`[DISCONNECT] Client disconnected: ${clientId}`);
-
-        if (clientInfo.userId) {
-            sessionData.activeUsers.delete(clientInfo.userId);
+        log.info('DISCONNECT', `Client disconnected: ${clientId}`, { clientId, userId: clientInfo.userId, role: clientInfo.role });
+        audit.record('disconnect', {
+            clientId,
+            role: clientInfo.role,
+            userId: clientInfo.userId || undefined,
+            room: clientInfo.room || undefined,
+            connectedFor: Date.now() - clientInfo.connectedAt
+        });
 
-            // Notify other clients about user disconnect
-            broadcast({
-                type: 'user_disconnected',
-                userId: clientInfo.userId,
-                displayName: clientInfo.displayName,
-                activeUsers: sessionData.activeUsers.size
-            }, ws);
+        if (clientInfo.userId && clientInfo.role === 'student') {
+            leaveRoom(ws, clientInfo);
+        }
+        if (clientInfo.role === 'peer') {
+            federation.removeLink(federation.findLink(ws));
         }
 
         connectedClients.delete(ws);
@@ -177,7 +1671,13 @@ wss.on('connection', (ws, req) => {
 
     // Handle errors
     ws.on('error', (error) => {
-        console.error(`[ERROR] WebSocket error for ${clientId}:`, error);
+        if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+            // ws has already closed the socket with 1009
+            abuseStats.oversized++;
+            log.warn('ABUSE', `Dropped ${clientId} (${clientInfo.displayName || clientInfo.ip}) for a message over ${rateLimit.MAX_MESSAGE_BYTES} bytes`);
+            return;
+        }
+        log.error('ERROR', `WebSocket error for ${clientId}`, { error });
     });
 
     // Heartbeat for connection monitoring
@@ -186,89 +1686,307 @@ wss.on('connection', (ws, req) => {
     });
 });
 
-// Handle different message types
+// Close a connection that keeps flooding or sending garbage
+function disconnectAbusiveClient(ws, clientInfo, reason) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    abuseStats.disconnected++;
+    log.warn('ABUSE', `Disconnecting ${clientInfo.id} (${clientInfo.displayName || clientInfo.ip}): ${reason} ` +
+        `(${clientInfo.rateLimited} rate limited, ${clientInfo.invalidJson} invalid JSON)`);
+    ws.close(1008, reason);
+}
+
+// Send a structured error for a rejected message
+function sendError(ws, code, message, extra = {}) {
+    sendToClient(ws, {
+        type: 'error',
+        code,
+        message,
+        ...extra
+    });
+}
+
+// Which answer a refused submit_response was, so the client can stop resending it
+function refusedSubmission(message) {
+    if (!message || message.type !== 'submit_response') return {};
+    return {
+        questionId: typeof message.questionId === 'string' ? message.questionId : undefined,
+        timestamp: Number.isFinite(message.timestamp) ? message.timestamp : undefined
+    };
+}
+
+// Reply to an identify that could not be accepted
+function rejectIdentify(ws, code, message) {
+    const clientInfo = connectedClients.get(ws);
+    audit.record('identify', {
+        clientId: clientInfo ? clientInfo.id : undefined,
+        ip: clientInfo ? clientInfo.ip : undefined,
+        success: false,
+        code,
+        reason: message
+    });
+
+    sendToClient(ws, {
+        type: 'identified',
+        success: false,
+        code,
+        message
+    });
+}
+
+// Handle different message types (already validated against hub-protocol.js)
 function handleClientMessage(ws, message, clientInfo) {
+    // Everything but identify and ping needs an identified client on protocol v2 or with a roster
+    if ((clientInfo.protocolVersion >= 2 || roster) && !clientInfo.userId &&
+        clientInfo.role !== 'teacher' && clientInfo.role !== 'peer' &&
+        message.type !== 'identify' && message.type !== 'ping') {
+        sendError(ws, protocol.ERROR_CODES.NOT_IDENTIFIED, `Identify before sending ${message.type}`, {
+            requestType: message.type
+        });
+        return;
+    }
+
+    // A federated hub only replicates responses; it has no room to sync or report on
+    if (clientInfo.role === 'peer' && !PEER_MESSAGE_TYPES.has(message.type)) {
+        sendError(ws, protocol.ERROR_CODES.FORBIDDEN, `${message.type} is not available to federated hubs`, {
+            requestType: message.type
+        });
+        return;
+    }
+
     switch (message.type) {
-        case 'identify':
-            // User identification
-            clientInfo.userId = message.userId;
-            clientInfo.displayName = message.displayName;
-            sessionData.activeUsers.add(message.userId);
+        case 'identify': {
+            // User identification, optionally joining a room by its join code
+            const version = protocol.negotiateVersion(message.protocolVersion);
+            if (version === null) {
+                rejectIdentify(ws, protocol.ERROR_CODES.UNSUPPORTED_VERSION,
+                    `Protocol version ${message.protocolVersion} is not supported (supported: ${protocol.SUPPORTED_VERSIONS.join(', ')})`);
+                break;
+            }
+            clientInfo.protocolVersion = version;
+
+            if (message.role === 'peer') {
+                identifyPeer(ws, message, clientInfo);
+                break;
+            }
+
+            const roomCode = normalizeRoomCode(message.roomCode);
+            if (!roomCode) {
+                rejectIdentify(ws, protocol.ERROR_CODES.INVALID_ROOM_CODE,
+                    'Invalid join code. Use letters, numbers, - or _ (max 32 characters).');
+                break;
+            }
+
+            if (message.role === 'teacher') {
+                identifyTeacher(ws, message, clientInfo, roomCode);
+                break;
+            }
+
+            const identity = authenticateStudent(message, clientInfo);
+            if (identity.code) {
+                clientInfo.authFailures++;
+                log.info('AUTH', `Rejected identify from ${clientInfo.id} (${clientInfo.ip}): ${identity.message} (${clientInfo.authFailures}/${MAX_AUTH_FAILURES})`, {
+                    clientId: clientInfo.id,
+                    ip: clientInfo.ip,
+                    code: identity.code
+                });
+                rejectIdentify(ws, identity.code, identity.message);
+                if (clientInfo.authFailures >= MAX_AUTH_FAILURES) {
+                    ws.close(1008, 'Too many failed sign-in attempts');
+                }
+                break;
+            }
+
+            // A socket's userId is bound by its first identify; it may change rooms but not identities
+            if (clientInfo.userId && clientInfo.userId !== identity.userId) {
+                rejectIdentify(ws, protocol.ERROR_CODES.USER_MISMATCH,
+                    `This connection is already identified as ${clientInfo.userId}`);
+                break;
+            }
+
+            if (clientInfo.userId && clientInfo.role === 'student') {
+                leaveRoom(ws, clientInfo);
+            }
+
+            // A student we've seen before coming back on a new connection (dropped Wi-Fi, reload, hub restart)
+            if (!clientInfo.userId && sessionData.identities.has(identity.userId)) {
+                hubMetrics.reconnects.inc();
+            }
+
+            const room = getRoom(roomCode);
+            clientInfo.role = 'student';
+            clientInfo.userId = identity.userId;
+            clientInfo.displayName = identity.displayName;
+            clientInfo.room = room.code;
+            room.activeUsers.add(identity.userId);
+            rememberIdentity(identity.userId, identity.displayName);
+            journal.append('identify', { userId: identity.userId, displayName: identity.displayName, room: room.code });
 
-            console.log(`[IDENTIFY] User ${message.displayName} (${message.userId}) identified`);
+            log.info('IDENTIFY', `User ${identity.displayName} (${identity.userId}) identified in room ${room.code}`, {
+                clientId: clientInfo.id,
+                userId: identity.userId,
+                room: room.code
+            });
+            audit.record('identify', {
+                clientId: clientInfo.id,
+                role: 'student',
+                success: true,
+                userId: identity.userId,
+                displayName: identity.displayName,
+                room: room.code
+            });
 
-            // Notify all clients about new user
-            broadcast({
+            // Notify everyone in the room about the new user
+            broadcastToRoom(room.code, {
                 type: 'user_joined',
-                userId: message.userId,
-                displayName: message.displayName,
-                activeUsers: sessionData.activeUsers.size
+                userId: identity.userId,
+                displayName: identity.displayName,
+                activeUsers: room.activeUsers.size
             });
+            updatePresence(room, identity.userId, { state: 'viewing' });
 
-            // Send acknowledgment
+            // Send acknowledgment, with a token the client can present when it reconnects
             sendToClient(ws, {
                 type: 'identified',
                 success: true,
-                activeUsers: Array.from(sessionData.activeUsers)
+                userId: clientInfo.userId,
+                displayName: clientInfo.displayName,
+                sessionToken: identity.sessionToken || issueSessionToken(identity.userId, identity.displayName),
+                roomCode: room.code,
+                protocolVersion: clientInfo.protocolVersion,
+                activeUsers: Array.from(room.activeUsers)
             });
+
+            // Version 2 clients may send the cursor they reached on an earlier connection
+            sendRoomSnapshot(ws, room, clientInfo.protocolVersion >= 2
+                ? { epoch: message.syncEpoch, since: message.syncSince }
+                : null);
             break;
+        }
 
-        case 'submit_response':
+        case 'submit_response': {
             // Handle quiz response submission
-            const { questionId, answer, reason, userId, displayName, timestamp } = message;
+            const { questionId, answer, reason, timestamp } = message;
+
+            // Responses are always stored under the identity bound to this socket by identify
+            const userId = clientInfo.userId;
+            const displayName = clientInfo.displayName;
 
-            // Store response in session data
-            if (!sessionData.responses.has(questionId)) {
-                sessionData.responses.set(questionId, new Map());
+            if (!userId) {
+                sendError(ws, protocol.ERROR_CODES.NOT_IDENTIFIED, 'Identify before submitting responses', {
+                    requestType: message.type
+                });
+                break;
+            }
+
+            if (message.userId && message.userId !== userId) {
+                log.info('INVALID', `${clientInfo.id} (${clientInfo.userId}) tried to submit as ${message.userId}`);
+                sendError(ws, protocol.ERROR_CODES.USER_MISMATCH, 'userId does not match this connection', {
+                    field: 'userId',
+                    requestType: message.type
+                });
+                break;
+            }
+
+            const room = getRoom(clientInfo.room);
+            if (isSubmissionLocked(room, questionId)) {
+                audit.record('submit', {
+                    clientId: clientInfo.id,
+                    success: false,
+                    code: protocol.ERROR_CODES.SUBMISSIONS_LOCKED,
+                    userId,
+                    room: room.code,
+                    questionId
+                });
+                sendToClient(ws, {
+                    type: 'response_confirmed',
+                    questionId,
+                    timestamp,
+                    success: false,
+                    code: protocol.ERROR_CODES.SUBMISSIONS_LOCKED,
+                    message: 'Submissions are locked by the teacher'
+                });
+                break;
             }
-            sessionData.responses.get(questionId).set(userId, {
+
+            // Merge into the student's record, so attempts made on other devices or offline are kept
+            const previousResponse = room.responses.has(questionId) ? room.responses.get(questionId).get(userId) : null;
+            const submitted = ResponseCRDT.fromResponse({
                 questionId,
+                userId,
                 answer,
                 reason,
-                userId,
-                displayName,
-                timestamp: timestamp || Date.now()
+                timestamp: timestamp || Date.now(),
+                history: message.history,
+                votes: message.votes
             });
+            const record = previousResponse
+                ? ResponseCRDT.merge(ResponseCRDT.fromResponse(previousResponse), submitted)
+                : submitted;
+            const storedResponse = { ...ResponseCRDT.toResponse(record), displayName, receivedAt: Date.now() };
+            storeResponse(room, storedResponse);
+            journal.append('response', { room: room.code, response: storedResponse });
+            federation.publish(room.code, storedResponse);
+            updatePresence(room, userId, { questionId, state: 'viewing' });
 
-            console.log(`[RESPONSE] User ${displayName} submitted answer for question ${questionId}`);
-
-            // Broadcast to all other clients
-            broadcast({
-                type: 'peer_response',
+            log.info('RESPONSE', `User ${displayName} submitted answer for question ${questionId} in room ${room.code}`, {
+                userId,
                 questionId,
-                answer,
-                reason,
+                room: room.code
+            });
+            audit.record('submit', {
+                clientId: clientInfo.id,
+                success: true,
                 userId,
-                displayName,
-                timestamp: timestamp || Date.now()
+                room: room.code,
+                questionId,
+                answer,
+                attempts: storedResponse.attempts
+            });
+
+            // Broadcast to everyone else in the room
+            broadcastToRoom(room.code, {
+                type: 'peer_response',
+                ...storedResponse
             }, ws);
 
             // Send confirmation to sender
             sendToClient(ws, {
                 type: 'response_confirmed',
                 questionId,
-                success: true
+                timestamp,
+                success: true,
+                seq: storedResponse.seq
             });
             break;
+        }
 
-        case 'request_sync':
-            // Client requesting full data sync
-            console.log(`[SYNC] User ${clientInfo.displayName} requested data sync`);
-
-            const syncData = [];
-            sessionData.responses.forEach((userResponses, qId) => {
-                userResponses.forEach((response, uId) => {
-                    syncData.push(response);
-                });
-            });
+        case 'request_sync': {
+            // Client catching up on its room: everything since its cursor, or the whole room without one
+            const room = getRoom(clientInfo.room);
+            const sync = buildSync(room, message.epoch, message.since);
+            log.info('SYNC', `User ${clientInfo.displayName} requested data sync for room ${room.code} ` +
+                `(${sync.full ? 'full' : `since ${sync.since}`}, ${sync.responses.length} responses)`);
 
             sendToClient(ws, {
                 type: 'sync_response',
-                responses: syncData,
-                activeUsers: Array.from(sessionData.activeUsers),
+                roomCode: room.code,
+                ...sync,
+                activeUsers: Array.from(room.activeUsers),
                 timestamp: Date.now()
             });
             break;
+        }
+
+        case 'activity':
+            // A student reporting the question they're on and whether they're typing or idle
+            if (clientInfo.role === 'student' && clientInfo.userId) {
+                updatePresence(getRoom(clientInfo.room), clientInfo.userId, {
+                    questionId: message.questionId,
+                    state: message.state
+                });
+            }
+            break;
 
         case 'ping':
             // Respond to ping
@@ -278,33 +1996,400 @@ function handleClientMessage(ws, message, clientInfo) {
             });
             break;
 
-        case 'get_stats':
-            // Send server statistics
+        case 'get_stats': {
+            // Send statistics for the client's room
+            const room = getRoom(clientInfo.room);
             sendToClient(ws, {
                 type: 'stats',
-                connectedClients: connectedClients.size,
-                activeUsers: sessionData.activeUsers.size,
-                totalResponses: Array.from(sessionData.responses.values())
-                    .reduce((sum, map) => sum + map.size, 0),
-                uptime: Date.now() - sessionData.startTime
+                roomCode: room.code,
+                connectedClients: Array.from(connectedClients.values())
+                    .filter(info => info.room === room.code).length,
+                activeUsers: room.activeUsers.size,
+                totalResponses: countResponses(room),
+                uptime: Date.now() - sessionData.startTime,
+                abuse: {
+                    ...abuseStats,
+                    rateLimitedByType: { ...abuseStats.rateLimitedByType }
+                },
+                connection: {
+                    rateLimited: clientInfo.rateLimited,
+                    invalidJson: clientInfo.invalidJson
+                }
             });
             break;
+        }
 
-        default:
-            console.log(`[UNKNOWN] Unknown message type: ${message.type}`);
-            sendToClient(ws, {
-                type: 'error',
-                message: `Unknown message type: ${message.type}`
+        case 'push_question':
+        case 'lock_submissions':
+        case 'reveal_answer':
+        case 'clear_question':
+        case 'end_session':
+        case 'kick_client':
+            if (clientInfo.role !== 'teacher') {
+                log.info('TEACHER', `Rejected ${message.type} from non-teacher ${clientInfo.id}`);
+                sendError(ws, protocol.ERROR_CODES.FORBIDDEN, `${message.type} requires the teacher role`, {
+                    requestType: message.type
+                });
+                break;
+            }
+            handleTeacherMessage(ws, message, clientInfo);
+            break;
+
+        case 'peer_responses':
+            if (clientInfo.role !== 'peer') {
+                sendError(ws, protocol.ERROR_CODES.FORBIDDEN, 'peer_responses requires a federated hub', {
+                    requestType: message.type
+                });
+                break;
+            }
+            federation.receive(federation.findLink(ws), message.records);
+            break;
+    }
+}
+
+// Authenticate another hub and start replicating responses with it
+function identifyPeer(ws, message, clientInfo) {
+    if (!federation.isFederationKey(message.federationKey)) {
+        clientInfo.authFailures++;
+        log.info('FEDERATION', `Rejected peer identify from ${clientInfo.id} (${clientInfo.ip}) (${clientInfo.authFailures}/${MAX_AUTH_FAILURES})`);
+        rejectIdentify(ws, protocol.ERROR_CODES.INVALID_FEDERATION_KEY,
+            federation.isEnabled() ? 'Invalid federation key' : 'Federation is not enabled on this hub');
+        if (clientInfo.authFailures >= MAX_AUTH_FAILURES) {
+            ws.close(1008, 'Too many failed sign-in attempts');
+        }
+        return;
+    }
+    if (message.hubId === HUB_ID || clientInfo.role !== 'student' || clientInfo.userId) {
+        rejectIdentify(ws, protocol.ERROR_CODES.INVALID_MESSAGE, 'A peer needs its own hubId on a fresh connection');
+        return;
+    }
+
+    clientInfo.role = 'peer';
+    clientInfo.room = null;
+    clientInfo.displayName = message.hubName || message.hubId;
+
+    sendToClient(ws, {
+        type: 'identified',
+        success: true,
+        role: 'peer',
+        hubId: HUB_ID,
+        hubName: HUB_NAME,
+        protocolVersion: clientInfo.protocolVersion
+    });
+
+    federation.addLink(ws, {
+        direction: 'inbound',
+        hubId: message.hubId,
+        hubName: clientInfo.displayName
+    });
+}
+
+// Send a room's live-lesson state and stored responses to a newly identified client;
+// a client with a sync cursor only gets what it's missing, and always learns the room's cursor
+function sendRoomSnapshot(ws, room, cursor = null) {
+    sendToClient(ws, {
+        type: 'room_state',
+        roomCode: room.code,
+        ...describeRoomState(room)
+    });
+
+    const sync = buildSync(room, cursor && cursor.epoch, cursor && cursor.since);
+    if (sync.responses.length > 0 || cursor) {
+        sendToClient(ws, {
+            type: 'bulk_update',
+            ...sync,
+            responses: sync.responses.map(response => ({
+                type: 'peer_response',
+                ...response
+            })),
+            message: sync.full ? 'Syncing existing classroom data' : `Syncing ${sync.responses.length} responses since ${sync.since}`
+        });
+    }
+}
+
+// Authenticate a teacher and attach them to a room's control channel
+function identifyTeacher(ws, message, clientInfo, roomCode) {
+    if (!isTeacherKey(message.teacherKey)) {
+        log.info('TEACHER', `Rejected teacher identify from ${clientInfo.id} (${clientInfo.ip})`);
+        rejectIdentify(ws, protocol.ERROR_CODES.INVALID_TEACHER_KEY, 'Invalid teacher key');
+        return;
+    }
+
+    if (clientInfo.userId && clientInfo.role === 'student') {
+        leaveRoom(ws, clientInfo);
+    }
+
+    const room = getRoom(roomCode);
+    clientInfo.role = 'teacher';
+    clientInfo.userId = message.userId || null;
+    clientInfo.displayName = message.displayName || 'Teacher';
+    clientInfo.room = room.code;
+
+    log.info('TEACHER', `${clientInfo.displayName} took control of room ${room.code}`, { clientId: clientInfo.id, room: room.code });
+    audit.record('identify', {
+        clientId: clientInfo.id,
+        role: 'teacher',
+        success: true,
+        displayName: clientInfo.displayName,
+        room: room.code
+    });
+
+    sendToClient(ws, {
+        type: 'identified',
+        success: true,
+        role: 'teacher',
+        roomCode: room.code,
+        protocolVersion: clientInfo.protocolVersion,
+        activeUsers: Array.from(room.activeUsers),
+        students: listRoomStudents(room)
+    });
+
+    sendRoomSnapshot(ws, room);
+}
+
+// Record what a student is doing in a room and tell the room's teachers
+function updatePresence(room, userId, changes) {
+    const previous = room.presence.get(userId) || { questionId: null, state: 'viewing' };
+    room.presence.set(userId, {
+        questionId: changes.questionId !== undefined ? changes.questionId : previous.questionId,
+        state: changes.state || previous.state,
+        lastActivity: Date.now()
+    });
+    sendPresence(room, userId);
+}
+
+// Tell a room's teachers a student's presence, e.g. after they joined, left, or went idle
+function sendPresence(room, userId) {
+    const identity = sessionData.identities.get(userId);
+    sendToTeachers(room.code, {
+        type: 'presence_update',
+        userId,
+        displayName: identity ? identity.displayName : userId,
+        online: room.activeUsers.has(userId),
+        ...describePresence(room, userId)
+    });
+}
+
+// A student's last known question, activity state, and activity time in a room
+function describePresence(room, userId) {
+    const presence = room.presence.get(userId);
+    return presence
+        ? { ...presence }
+        : { questionId: null, state: null, lastActivity: null };
+}
+
+// List students known to a room with their display names, connection status, and presence
+function listRoomStudents(room) {
+    const students = new Map();
+
+    listResponses(room).forEach(response => {
+        const identity = sessionData.identities.get(response.userId);
+        students.set(response.userId, {
+            userId: response.userId,
+            displayName: identity ? identity.displayName : response.displayName,
+            online: false,
+            ...describePresence(room, response.userId)
+        });
+    });
+
+    connectedClients.forEach(info => {
+        if (info.room === room.code && info.role === 'student' && info.userId) {
+            students.set(info.userId, {
+                userId: info.userId,
+                displayName: info.displayName,
+                online: true,
+                ...describePresence(room, info.userId)
+            });
+        }
+    });
+
+    return Array.from(students.values());
+}
+
+// Handle teacher control messages for the teacher's room
+function handleTeacherMessage(ws, message, clientInfo) {
+    const room = getRoom(clientInfo.room);
+    const { questionId } = message;
+
+    // Every teacher action lands in the audit trail, whether or not it succeeded
+    const auditAction = (fields) => {
+        audit.record('teacher_action', {
+            clientId: clientInfo.id,
+            by: clientInfo.displayName,
+            room: room.code,
+            action: message.type,
+            questionId: questionId || undefined,
+            userId: message.userId || undefined,
+            ...fields
+        });
+    };
+
+    const acknowledge = (extra = {}) => {
+        auditAction({ success: true, ...extra });
+        sendToClient(ws, {
+            type: 'teacher_ack',
+            action: message.type,
+            success: true,
+            ...extra
+        });
+    };
+
+    const reject = (errorMessage, code = protocol.ERROR_CODES.INVALID_MESSAGE) => {
+        auditAction({ success: false, code, reason: errorMessage });
+        sendToClient(ws, {
+            type: 'teacher_ack',
+            action: message.type,
+            success: false,
+            code,
+            message: errorMessage
+        });
+    };
+
+    switch (message.type) {
+        case 'push_question': {
+            // Send every student in the room to a specific question
+            if (!questionId) return reject('questionId is required');
+
+            room.currentQuestion = questionId;
+            journal.append('push', { room: room.code, questionId });
+            log.info('TEACHER', `Pushed question ${questionId} to room ${room.code}`);
+
+            const question = curriculum.getQuestion(questionId);
+            broadcastToRoom(room.code, {
+                type: 'question_pushed',
+                questionId,
+                questionType: question ? question.type : null
+            }, ws);
+            acknowledge({ questionId });
+            break;
+        }
+
+        case 'lock_submissions': {
+            // Lock or unlock one question, or the whole room when no questionId is given
+            const locked = message.locked !== false;
+
+            applyLock(room, questionId || null, locked);
+            journal.append('lock', { room: room.code, questionId: questionId || null, locked });
+            log.info('TEACHER', `${locked ? 'Locked' : 'Unlocked'} ${questionId ? `question ${questionId}` : 'all submissions'} in room ${room.code}`);
+
+            broadcastToRoom(room.code, {
+                type: 'submissions_locked',
+                questionId: questionId || null,
+                locked
+            }, ws);
+            acknowledge({ questionId: questionId || null, locked });
+            break;
+        }
+
+        case 'reveal_answer': {
+            // Reveal the answer key from the embedded curriculum
+            if (!questionId) return reject('questionId is required');
+
+            const answerKey = curriculum.getAnswerKey(questionId);
+            if (!answerKey) return reject(`No answer key for question ${questionId}`, protocol.ERROR_CODES.NOT_FOUND);
+
+            room.revealedAnswers.set(questionId, answerKey);
+            journal.append('reveal', { room: room.code, questionId, answerKey });
+            log.info('TEACHER', `Revealed answer for ${questionId} in room ${room.code}`);
+
+            broadcastToRoom(room.code, {
+                type: 'answer_revealed',
+                questionId,
+                answerKey
+            }, ws);
+            acknowledge({ questionId, answerKey });
+            break;
+        }
+
+        case 'clear_question': {
+            // Discard every response to a question so it can be asked again
+            if (!questionId) return reject('questionId is required');
+
+            const userResponses = room.responses.get(questionId);
+            const cleared = userResponses ? userResponses.size : 0;
+            room.responses.delete(questionId);
+            room.revealedAnswers.delete(questionId);
+            markResponsesRemoved(room);
+            journal.append('clear', { room: room.code, questionId });
+            log.info('TEACHER', `Cleared ${cleared} responses for ${questionId} in room ${room.code}`);
+
+            broadcastToRoom(room.code, {
+                type: 'question_cleared',
+                questionId,
+                seq: room.seq
+            }, ws);
+            acknowledge({ questionId, cleared });
+            break;
+        }
+
+        case 'end_session': {
+            try {
+                const result = endRoomSession(room, clientInfo.displayName);
+                acknowledge({
+                    archived: result.archived,
+                    archive: result.archive ? path.basename(result.archive) : null,
+                    cleared: result.cleared
+                });
+            } catch (error) {
+                log.error('RETENTION', 'Failed to end session', { error });
+                reject(`Could not write the archive: ${error.message}`);
+            }
+            break;
+        }
+
+        case 'kick_client': {
+            // Disconnect a student by userId or clientId
+            const targets = [];
+            connectedClients.forEach((info, clientWs) => {
+                if (info.room === room.code && info.role === 'student' &&
+                    ((message.userId && info.userId === message.userId) ||
+                     (message.clientId && info.id === message.clientId))) {
+                    targets.push(clientWs);
+                }
+            });
+
+            if (targets.length === 0) return reject('No matching client in this room', protocol.ERROR_CODES.NOT_FOUND);
+
+            targets.forEach(clientWs => {
+                const info = connectedClients.get(clientWs);
+                log.info('TEACHER', `Kicking ${info.displayName} (${info.id}) from room ${room.code}`);
+                // A kicked student has to sign in again rather than reconnect with their token
+                revokeSessionTokens(info.userId);
+                sendToClient(clientWs, {
+                    type: 'kicked',
+                    message: message.reason || 'You were disconnected by the teacher'
+                });
+                clientWs.close(KICK_CLOSE_CODE, 'Removed by teacher');
             });
+            acknowledge({ kicked: targets.length });
+            break;
+        }
     }
 }
 
+// Remove an identified client from its room and tell the rest of the room
+function leaveRoom(ws, clientInfo) {
+    const room = sessionData.rooms.get(clientInfo.room);
+    if (!room) return;
+
+    room.activeUsers.delete(clientInfo.userId);
+
+    broadcastToRoom(room.code, {
+        type: 'user_disconnected',
+        userId: clientInfo.userId,
+        displayName: clientInfo.displayName,
+        activeUsers: room.activeUsers.size
+    }, ws);
+    sendPresence(room, clientInfo.userId);
+}
+
 // Heartbeat interval to check connection health
 const heartbeatInterval = setInterval(() => {
     wss.clients.forEach(ws => {
         const clientInfo = connectedClients.get(ws);
         if (clientInfo && !clientInfo.isAlive) {
-            console.log(`[HEARTBEAT] Terminating inactive client: ${clientInfo.id}`);
+            log.info('HEARTBEAT', `Terminating inactive client: ${clientInfo.id}`);
+            hubMetrics.heartbeatTerminations.inc();
             ws.terminate();
             return;
         }
@@ -316,36 +2401,90 @@ const heartbeatInterval = setInterval(() => {
     });
 }, HEARTBEAT_INTERVAL);
 
-// Cleanup old data periodically
-const cleanupInterval = setInterval(() => {
-    // Remove responses older than session timeout
-    const cutoffTime = Date.now() - SESSION_TIMEOUT;
-    let removedCount = 0;
-
-    sessionData.responses.forEach((userResponses, questionId) => {
-        userResponses.forEach((response, userId) => {
-            if (response.timestamp < cutoffTime) {
-                userResponses.delete(userId);
-                removedCount++;
+// Show students who have gone quiet as idle, so the teacher can spot who is stuck or disengaged
+const presenceInterval = setInterval(() => {
+    const cutoff = Date.now() - IDLE_AFTER;
+    sessionData.rooms.forEach(room => {
+        room.presence.forEach((presence, userId) => {
+            if (presence.state !== 'idle' && presence.lastActivity < cutoff && room.activeUsers.has(userId)) {
+                presence.state = 'idle';
+                sendPresence(room, userId);
             }
         });
+    });
+}, PRESENCE_SWEEP_INTERVAL);
+
+// Archive and remove responses that reached the hub before the cutoff
+function purgeExpiredResponses(cutoffTime) {
+    let removedCount = 0;
+
+    sessionData.rooms.forEach(room => {
+        // Answers may be days old when they arrive (imports, outbox replays, skewed clocks); age them by the hub's clock
+        const expired = listResponses(room)
+            .filter(response => response.receivedAt < cutoffTime);
+        if (expired.length === 0) return;
 
-        if (userResponses.size === 0) {
-            sessionData.responses.delete(questionId);
+        try {
+            const archivePath = retention.writeArchive(ARCHIVE_DIR, {
+                room: room.code,
+                reason: 'retention',
+                retention: RETENTION.setting,
+                responses: expired
+            });
+            log.info('CLEANUP', `Archived ${expired.length} expired responses from room ${room.code} to ${archivePath}`);
+        } catch (error) {
+            // Keep the responses rather than lose them
+            log.error('CLEANUP', `Could not archive room ${room.code}, keeping its responses`, { error });
+            return;
         }
+
+        expired.forEach(({ questionId, userId }) => {
+            const userResponses = room.responses.get(questionId);
+            userResponses.delete(userId);
+            if (userResponses.size === 0) {
+                room.responses.delete(questionId);
+            }
+            journal.append('remove', { room: room.code, questionId, userId });
+            removedCount++;
+        });
+        markResponsesRemoved(room);
     });
 
     if (removedCount > 0) {
-        console.log(`[CLEANUP] Removed ${removedCount} old responses`);
+        log.info('CLEANUP', `Removed ${removedCount} old responses`);
+    }
+}
+
+// Cleanup old data periodically
+const cleanupInterval = setInterval(() => {
+    // Only an N-hour retention policy expires responses on its own; the others wait for the teacher
+    if (RETENTION.mode === 'hours') {
+        purgeExpiredResponses(Date.now() - RETENTION.hours * 3600000);
     }
+
+    signInLockout.prune();
+
+    // Expired session tokens are dropped from memory here and from the journal at the next compaction
+    sessionData.sessionTokens.forEach((session, tokenHash) => {
+        if (session.issuedAt + SESSION_TOKEN_TTL <= Date.now()) {
+            sessionData.sessionTokens.delete(tokenHash);
+        }
+    });
 }, CLEANUP_INTERVAL);
 
 // Handle server shutdown
-process.on('SIGINT', () => {
-    console.log('\n[SHUTDOWN] Shutting down server...');
+function shutdown() {
+    log.info('SHUTDOWN', 'Shutting down server...');
 
     clearInterval(heartbeatInterval);
+    clearInterval(presenceInterval);
     clearInterval(cleanupInterval);
+    if (beacon) beacon.stop();
+    federation.stop();
+
+    // Make sure everything collected so far is on disk
+    journal.close();
+    audit.close();
 
     // Notify all clients
     broadcast({
@@ -359,29 +2498,62 @@ process.on('SIGINT', () => {
     });
 
     server.close(() => {
-        console.log('[SHUTDOWN] Server closed');
+        log.info('SHUTDOWN', 'Server closed');
+        log.close();
         process.exit(0);
     });
 
     // Force exit after 5 seconds
     setTimeout(() => {
-        console.log('[SHUTDOWN] Forced exit');
+        log.info('SHUTDOWN', 'Forced exit');
         process.exit(0);
     }, 5000);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
-// Start server
-server.listen(PORT, () => {
-    const localIP = getLocalIP();
-    console.log('===========================================');
-    console.log('🚀 AP Statistics Local Hub Server Started');
-    console.log('===========================================');
-    console.log(`📡 WebSocket Server: ws://${localIP}:${PORT}`);
-    console.log(`🌐 Web Interface: http://${localIP}:${PORT}/info`);
-    console.log(`💻 Local Access: http://localhost:${PORT}/info`);
-    console.log('===========================================');
-    console.log('Share this IP with students:');
-    console.log(`   ${localIP}:${PORT}`);
-    console.log('===========================================');
-    console.log('Press Ctrl+C to stop the server\n');
-});
\ No newline at end of file
+// LAN discovery beacon, started once the server is listening
+let beacon = null;
+
+// Start server, unless this run only uploads the journal
+if (UPLOAD_ONLY) {
+    uploadFromCommandLine();
+} else {
+    server.listen(PORT, () => {
+        if (DISCOVERY_ENABLED) {
+            beacon = discovery.startBeacon(describeHub);
+        }
+        federation.connectToPeers(PEER_URLS);
+        log.info('STARTUP', `Hub ${HUB_NAME} listening on port ${PORT}`, { hubId: HUB_ID, port: PORT, session: audit.sessionId });
+
+        const localIP = getLocalIP();
+        console.log('===========================================');
+        console.log('🚀 AP Statistics Local Hub Server Started');
+        console.log('===========================================');
+        console.log(`📡 WebSocket Server: ws://${localIP}:${PORT}`);
+        console.log(`🌐 Web Interface: http://${localIP}:${PORT}/info`);
+        console.log(`📊 Teacher Dashboard: http://${localIP}:${PORT}/dashboard`);
+        console.log(`💻 Local Access: http://localhost:${PORT}/info`);
+        console.log(`💾 Session Journal: ${journal.filePath}`);
+        console.log(`📝 Logs: ${LOG_DIR} (audit trail: /api/audit)`);
+        console.log(`🗄️  Retention: ${retention.describeRetention(RETENTION)}`);
+        if (federation.isEnabled()) {
+            console.log(`🔗 Federation: ${PEER_URLS.length > 0 ? `peering with ${PEER_URLS.join(', ')}` : 'waiting for peer hubs'}`);
+        }
+        if (firebaseBridge.isConfigured()) {
+            console.log(`☁️  Firebase Upload: ${firebaseBridge.describe().target} (POST /api/upload)`);
+        }
+        console.log(`🔑 Teacher Key: ${TEACHER_KEY}`);
+        if (roster) {
+            console.log(`🎓 Roster: ${roster.students.size} students (join codes: http://localhost:${PORT}/api/roster?format=csv&key=${TEACHER_KEY})`);
+        }
+        console.log(`📱 Student Join Page: ${getJoinUrl()}`);
+        console.log(`📘 Quiz App: http://${localIP}:${PORT}/`);
+        console.log('===========================================');
+        console.log('Share this IP with students:');
+        console.log(`   ${localIP}:${PORT}`);
+        console.log('===========================================');
+        console.log('Press Ctrl+C to stop the server\n');
+    });
+}